@@ -0,0 +1,65 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+// Retries are done here rather than inside the SDK so each call's count can be recorded
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Created on first call so the key is read after dotenv has loaded
+let client = null;
+
+function createTimeout(ms) {
+  return new Promise((_, reject) => {
+    setTimeout(() => reject(new Error(`Claude API request timed out after ${ms / 1000} seconds`)), ms);
+  });
+}
+
+/**
+ * Rate limits, overload, server errors and dropped connections are worth another try
+ */
+function isRetryable(error) {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return error instanceof Anthropic.APIConnectionError;
+}
+
+/**
+ * Claude needs ANTHROPIC_API_KEY
+ */
+export function isConfigured() {
+  return Boolean(process.env.ANTHROPIC_API_KEY);
+}
+
+/**
+ * Send one request to Claude, retrying transient failures with backoff
+ * @param {Object} request - { model, temperature, maxTokens, timeoutMs, messages }
+ * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}, retries: number}>}
+ *   A thrown error carries `retries` too
+ */
+export async function complete({ model, temperature, maxTokens, timeoutMs, messages }) {
+  if (!client) client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const apiRequest = client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages
+      });
+
+      const message = await Promise.race([apiRequest, createTimeout(timeoutMs)]);
+      return {
+        text: message.content[0].text.trim(),
+        usage: { inputTokens: message.usage?.input_tokens ?? null, outputTokens: message.usage?.output_tokens ?? null },
+        retries: attempt
+      };
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        error.retries = attempt;
+        throw error;
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`[LLM] ${model} request failed (${error.status || error.message}), retrying in ${delay / 1000}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -28,7 +28,7 @@ export async function appendDigest(digestObj) {
 
 /**
  * Read the last N digest entries from the archive file (newest first)
- * @param {number} count - Number of recent entries to return
+ * @param {number} count - Number of recent entries to return (Infinity for all)
  * @returns {Promise<Array>} Parsed digest objects, newest first
  */
 export async function readRecentDigests(count = 5) {
@@ -0,0 +1,174 @@
+import { createHash } from 'crypto';
+import { getEnrichmentsByHash, saveArticleEnrichment } from './storage.js';
+import { complete, isLlmConfigured, isTaskSkipped, parseJsonResponse } from './llm.js';
+
+// Articles per model call, and how much of each one's text the model sees
+const ENRICH_BATCH_SIZE = 8;
+const ENRICH_EXCERPT_CHARS = 4000;
+const MAX_COMPANIES = 10;
+const MAX_TOPICS = 4;
+
+/**
+ * Topic tags an enrichment may use; anything else the model returns is dropped
+ */
+export const TOPIC_TAGS = [
+  'ai',
+  'digital-origination',
+  'servicing',
+  'mobile-app',
+  'loss-mitigation',
+  'home-equity',
+  'rates',
+  'housing-market',
+  'regulation',
+  'mergers-acquisitions',
+  'partnerships',
+  'funding',
+  'earnings',
+  'layoffs',
+  'leadership',
+  'product-launch',
+  'product-management',
+  'customer-experience',
+  'fraud-security',
+  'payments'
+];
+
+/**
+ * Hash of the text an enrichment is made from (title plus body)
+ */
+export function contentHash(article) {
+  return createHash('sha256')
+    .update(`${article.title || ''}\n${article.originalContent || article.summary || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Whether there is text worth enriching (title-only videos aren't)
+ */
+function hasText(article) {
+  return Boolean(article.originalContent || (article.type !== 'youtube' && article.summary));
+}
+
+function buildEnrichmentPrompt(batch, profiles) {
+  const readers = profiles.map(profile => `- ${profile.persona}`).join('\n');
+  const items = batch.map((article, i) =>
+    `[${i + 1}] ${article.title} (${article.source})${article.paywalled ? ' [PAYWALLED — teaser only]' : ''}\n${(article.originalContent || article.summary || '').substring(0, ENRICH_EXCERPT_CHARS)}`
+  ).join('\n\n');
+
+  return `You are tagging news articles for an intelligence feed read by:
+${readers}
+
+For each article, return:
+- "summary": 2-3 plain sentences on what the article reports. Facts only; for a paywalled teaser, summarize only what the teaser says.
+- "companies": companies and organizations the article is about, by their usual full name (e.g. "Rocket Mortgage", not "RKT"). [] if none.
+- "topics": 1-${MAX_TOPICS} tags, only from: ${TOPIC_TAGS.join(', ')}
+- "relevance": integer 0-10, how useful the article is to at least one of the readers above (0 = unrelated, 10 = must read today)
+
+ARTICLES:
+${items}
+
+OUTPUT FORMAT (strict JSON array, one object per article, no markdown fences):
+[
+  { "id": 1, "summary": "...", "companies": ["..."], "topics": ["..."], "relevance": 5 }
+]
+
+Return ONLY the JSON array.`;
+}
+
+/**
+ * Clean one enrichment from the model, or null if it has no usable summary
+ */
+function normalizeEnrichment(raw) {
+  if (!raw || typeof raw.summary !== 'string' || !raw.summary.trim()) return null;
+
+  const strings = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()) : []);
+  const relevance = Number(raw.relevance);
+  return {
+    aiSummary: raw.summary.trim(),
+    companies: [...new Set(strings(raw.companies))].slice(0, MAX_COMPANIES),
+    topicTags: [...new Set(strings(raw.topics).map(tag => tag.toLowerCase()))].filter(tag => TOPIC_TAGS.includes(tag)).slice(0, MAX_TOPICS),
+    relevanceScore: Number.isFinite(relevance) ? Math.min(10, Math.max(0, Math.round(relevance))) : null
+  };
+}
+
+async function applyEnrichment(articles, hash, enrichment) {
+  for (const article of articles) {
+    await saveArticleEnrichment(article.id, { contentHash: hash, ...enrichment });
+    Object.assign(article, enrichment, { enrichmentHash: hash, enrichedAt: new Date() });
+  }
+}
+
+/**
+ * Enrich every article whose content changed since it was last enriched (or
+ * that never was): a 2-3 sentence summary, companies mentioned, topic tags and
+ * a relevance score. Text already enriched under the same content hash —
+ * syndicated copies, re-saved articles — reuses that enrichment instead of
+ * calling the model. Results are stored and copied onto the given article
+ * objects. A failed batch is logged and retried on the next run.
+ * @param {Array} articles - Articles from storage
+ * @param {Array} profiles - Enabled analyst profiles (relevance is judged against their personas)
+ * @param {Object} [options]
+ * @param {number|null} [options.runId] - Pipeline run the model calls are attributed to
+ * @returns {Promise<{enriched: number, reused: number, failed: number, skipped: number}>}
+ */
+export async function enrichArticles(articles, profiles, { runId = null } = {}) {
+  const stats = { enriched: 0, reused: 0, failed: 0, skipped: 0 };
+
+  // Stale articles by content hash, so identical text is enriched once
+  const pending = new Map();
+  for (const article of articles) {
+    if (!hasText(article)) continue;
+    const hash = contentHash(article);
+    if (article.enrichmentHash === hash) continue;
+    if (!pending.has(hash)) pending.set(hash, []);
+    pending.get(hash).push(article);
+  }
+  if (pending.size === 0) return stats;
+
+  const cached = await getEnrichmentsByHash([...pending.keys()]);
+  for (const [hash, enrichment] of cached) {
+    await applyEnrichment(pending.get(hash), hash, enrichment);
+    stats.reused += pending.get(hash).length;
+    pending.delete(hash);
+  }
+
+  if (pending.size > 0 && !(await isLlmConfigured())) {
+    console.log(`[Enricher] No LLM provider configured, leaving ${pending.size} articles unenriched`);
+    return stats;
+  }
+  if (pending.size > 0 && await isTaskSkipped('enrichment')) {
+    stats.skipped = [...pending.values()].reduce((sum, group) => sum + group.length, 0);
+    console.log(`[Enricher] Monthly LLM budget spent, leaving ${stats.skipped} articles unenriched`);
+    return stats;
+  }
+
+  const hashes = [...pending.keys()];
+  for (let start = 0; start < hashes.length; start += ENRICH_BATCH_SIZE) {
+    const batchHashes = hashes.slice(start, start + ENRICH_BATCH_SIZE);
+    const batch = batchHashes.map(hash => pending.get(hash)[0]);
+
+    try {
+      const results = parseJsonResponse(await complete('enrichment', buildEnrichmentPrompt(batch, profiles), { runId }), /\[[\s\S]*\]/);
+      if (!Array.isArray(results)) throw new Error('response is not a JSON array');
+      const byId = new Map(results.map(result => [Number(result?.id), result]));
+
+      for (const [i, hash] of batchHashes.entries()) {
+        const enrichment = normalizeEnrichment(byId.get(i + 1));
+        if (!enrichment) {
+          stats.failed += pending.get(hash).length;
+          continue;
+        }
+        await applyEnrichment(pending.get(hash), hash, enrichment);
+        stats.enriched += pending.get(hash).length;
+      }
+    } catch (error) {
+      const failed = batchHashes.reduce((sum, hash) => sum + pending.get(hash).length, 0);
+      stats.failed += failed;
+      console.error(`[Enricher] Batch of ${failed} articles failed: ${error.message}`);
+    }
+  }
+
+  console.log(`[Enricher] ${stats.enriched} enriched, ${stats.reused} reused by content hash, ${stats.failed} failed`);
+  return stats;
+}
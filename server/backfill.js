@@ -0,0 +1,54 @@
+/**
+ * Backfill a source's archive over a date range by paging back through its feed
+ *
+ * Usage:
+ *   node backfill.js "<source name>" --since YYYY-MM-DD [--until YYYY-MM-DD] [--max-pages N] [--delay MS]
+ *
+ * Examples:
+ *   node backfill.js "HousingWire" --since 2026-01-01
+ *   node backfill.js "National Mortgage News" --since 2026-03-01 --until 2026-03-31 --max-pages 40
+ *
+ * WordPress feeds are paged with ?paged=N; Atom feeds with rel="next" links are
+ * followed as published. Backfilled articles are marked as already digested.
+ */
+
+import 'dotenv/config';
+import { backfillSource } from './rssFetcher.js';
+import { initStorage } from './storage.js';
+
+function usage() {
+  console.error('Usage: node backfill.js "<source name>" --since YYYY-MM-DD [--until YYYY-MM-DD] [--max-pages N] [--delay MS]');
+  process.exit(1);
+}
+
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function backfill() {
+  const args = process.argv.slice(2);
+  const flags = ['--since', '--until', '--max-pages', '--delay'];
+  const name = args.find((arg, i) => !arg.startsWith('--') && !flags.includes(args[i - 1]));
+
+  const since = new Date(option(args, '--since'));
+  const until = option(args, '--until') ? new Date(`${option(args, '--until')}T23:59:59.999Z`) : new Date();
+  const maxPages = option(args, '--max-pages') ? parseInt(option(args, '--max-pages'), 10) : undefined;
+  const delayMs = option(args, '--delay') ? parseInt(option(args, '--delay'), 10) : undefined;
+
+  if (!name || isNaN(since.getTime()) || isNaN(until.getTime()) || Number.isNaN(maxPages) || Number.isNaN(delayMs)) usage();
+
+  try {
+    await initStorage();
+    const report = await backfillSource(name, { since, until, maxPages, delayMs });
+    console.log(`\n[Backfill] ${report.source}: ${report.added} articles added`);
+    console.log(`  pages: ${report.pages}, items seen: ${report.itemsSeen}, in range: ${report.inRange}`);
+    console.log(`  stopped: ${report.stoppedBecause}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('[Backfill] Error:', error.message);
+    process.exit(1);
+  }
+}
+
+backfill();
@@ -0,0 +1,353 @@
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonRegistry, validateEntries, isStringList } from './jsonRegistry.js';
+import { getArticlesByLinks, readRecentDigests, saveCompetitorSignals, getCompetitorSignalCounts, getCompetitorSignals } from './storage.js';
+import { getDefaultProfileId } from './profileRegistry.js';
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const COMPETITORS_PATH = process.env.COMPETITORS_PATH || path.join(__dirname, 'competitors.json');
+
+// Trailing words that don't tell one company from another ("Rocket Companies", "Blend Labs Inc.")
+const NAME_SUFFIXES = new Set(['inc', 'incorporated', 'corp', 'corporation', 'co', 'cos', 'company', 'companies', 'holdings', 'group',
+  'llc', 'ltd', 'plc', 'lp', 'com', 'financial', 'services', 'mortgage', 'loans', 'lending', 'technology', 'technologies', 'solutions', 'labs']);
+// Source articles kept per signal
+const MAX_LINKED_ARTICLES = 5;
+
+/**
+ * Comparable form of a company name: lowercase words without punctuation,
+ * parentheticals or trailing suffixes ("Rocket Mortgage (acquired Mr. Cooper)" → "rocket")
+ */
+export function nameKey(name) {
+  const words = String(name || '').toLowerCase().replace(/\([^)]*\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  while (words.length > 1 && NAME_SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words.join(' ');
+}
+
+function validateCompetitor(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['competitor must be an object'];
+
+  const errors = [];
+  if (typeof entry.slug !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(entry.slug)) errors.push('slug is required (lowercase letters, digits and dashes)');
+  if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push('name is required');
+  for (const field of ['aliases', 'mentions']) {
+    if (entry[field] !== undefined && !isStringList(entry[field])) errors.push(`${field} must be a list of strings`);
+  }
+  // An empty list would build a pattern matching every title
+  if (Array.isArray(entry.mentions) && entry.mentions.length === 0) errors.push('mentions must not be empty (omit it to use the name and aliases)');
+  return errors;
+}
+
+function buildRegistry(competitors) {
+  const entities = competitors.map(entry => ({
+    slug: entry.slug,
+    name: entry.name,
+    aliases: entry.aliases || [],
+    mentions: entry.mentions || [entry.name, ...(entry.aliases || [])]
+  }));
+
+  const byKey = new Map();
+  for (const entity of entities) {
+    for (const name of [entity.name, ...entity.aliases]) {
+      const key = nameKey(name);
+      const existing = byKey.get(key);
+      if (existing && existing !== entity) {
+        console.error(`[Competitors] "${name}" matches both ${existing.slug} and ${entity.slug}; keeping ${existing.slug}`);
+        continue;
+      }
+      byKey.set(key, entity);
+    }
+  }
+  return { entities, byKey, bySlug: new Map(entities.map(entity => [entity.slug, entity])) };
+}
+
+const competitorsFile = createJsonRegistry({
+  filePath: COMPETITORS_PATH,
+  fileName: 'competitors.json',
+  listKey: 'competitors',
+  tag: 'Competitors',
+  validate: config => validateEntries(config, { fileName: 'competitors.json', listKey: 'competitors', idField: 'slug', validateEntry: validateCompetitor }),
+  build: config => buildRegistry(config.competitors)
+});
+
+/**
+ * The competitor registry, reloaded when competitors.json changes. An invalid
+ * file keeps the last good registry in place; with none, every competitor is
+ * unlisted.
+ */
+async function loadRegistry() {
+  try {
+    return await competitorsFile.load();
+  } catch {
+    // Already reported by the loader
+    return buildRegistry([]);
+  }
+}
+
+/**
+ * The competitors a name from a digest refers to. Registry names and aliases
+ * resolve to their entity; a name joining several companies ("Zillow &
+ * Redfin") resolves to each of them; anything else becomes an unlisted
+ * competitor keyed by its normalized name.
+ * @param {Object} registry - From loadRegistry
+ * @param {string} name - Competitor as written
+ * @returns {Array<{slug: string, name: string, listed: boolean}>}
+ */
+function resolveCompetitors(registry, name) {
+  const { byKey } = registry;
+  const lookup = part => {
+    const key = nameKey(part);
+    if (!key) return null;
+    const entity = byKey.get(key);
+    return entity
+      ? { slug: entity.slug, name: entity.name, listed: true }
+      : { slug: key.replace(/ /g, '-'), name: part.trim(), listed: false };
+  };
+
+  const cleaned = String(name || '').replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+  const whole = lookup(cleaned);
+  if (!whole) return [];
+  if (whole.listed) return [whole];
+
+  const parts = cleaned.split(/\s*(?:\/|&|\+|,|\band\b)\s*/i).filter(part => nameKey(part));
+  if (parts.length < 2) return [whole];
+  const competitors = new Map();
+  for (const competitor of parts.map(lookup)) competitors.set(competitor.slug, competitor);
+  return [...competitors.values()];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Candidates that are about a competitor: enrichment lists it among the
+ * article's companies, or the title names it (case-sensitively, by the
+ * registry's mention forms, so "Better" as an ordinary word doesn't count)
+ * @param {Object} registry - From loadRegistry
+ * @param {Object} competitor - From resolveCompetitors
+ * @param {Array<{article: Object, title: string, companies: Array<string>}>} candidates
+ */
+function mentioningArticles(registry, competitor, candidates) {
+  const entity = registry.bySlug.get(competitor.slug);
+  const terms = entity ? entity.mentions : [competitor.name];
+  const pattern = new RegExp(`(?<![A-Za-z0-9])(?:${terms.map(escapeRegExp).join('|')})(?![A-Za-z0-9])`);
+
+  return candidates
+    .filter(candidate => (candidate.companies || []).some(company => resolveCompetitors(registry, company).some(c => c.slug === competitor.slug)) ||
+      pattern.test(candidate.title || ''))
+    .map(candidate => candidate.article);
+}
+
+function sourceArticle(article) {
+  return { id: article.id ?? null, title: article.title || null, source: article.source || null, link: article.link };
+}
+
+function signalHash(digestDate, profile, item) {
+  return createHash('sha256').update(`${digestDate}\n${profile || ''}\n${item.competitor}\n${item.signal}`).digest('hex');
+}
+
+/**
+ * Store a digest's competitive signals, one row per competitor each names
+ * @param {Object} digest - Digest as archived
+ * @param {Object} registry - From loadRegistry
+ * @param {Function} linkSignal - (item, competitor) → source articles
+ * @param {string|null} defaultProfileId - Profile for digests archived before profiles existed
+ * @returns {Promise<number>} Signals newly stored
+ */
+async function saveDigestSignals(digest, registry, linkSignal, defaultProfileId) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(digest.date))) return 0;
+  const profile = digest.profile || defaultProfileId;
+
+  const rows = [];
+  for (const item of digest.competitive_signals || []) {
+    if (!item?.competitor || !item.signal) continue;
+    for (const competitor of resolveCompetitors(registry, item.competitor)) {
+      rows.push({
+        competitorSlug: competitor.slug,
+        competitorName: item.competitor,
+        signal: item.signal,
+        implication: item.implication || null,
+        url: item.url || null,
+        articles: linkSignal(item, competitor).slice(0, MAX_LINKED_ARTICLES),
+        digestDate: digest.date,
+        profile,
+        runId: digest.run_id || null,
+        signalHash: signalHash(digest.date, profile, item)
+      });
+    }
+  }
+  return rows.length > 0 ? saveCompetitorSignals(rows) : 0;
+}
+
+/**
+ * Record the competitive signals of a digest just generated. A signal with a
+ * URL is linked to every article covering that story; one without is linked
+ * to the digest's stories about the competitor.
+ * @param {Object} digest - The digest, as archived
+ * @param {Array} stories - Stories the digest was generated from (with coverage)
+ * @returns {Promise<number>} Signals stored
+ */
+export async function recordDigestSignals(digest, stories) {
+  const storiesByUrl = new Map();
+  for (const story of stories) {
+    for (const covered of story.coverage || []) storiesByUrl.set(canonicalizeUrl(covered.link), story);
+    storiesByUrl.set(canonicalizeUrl(story.link), story);
+  }
+  const candidates = stories.map(story => ({ article: sourceArticle(story), title: story.title, companies: story.companies }));
+
+  const registry = await loadRegistry();
+  const saved = await saveDigestSignals(digest, registry, (item, competitor) => {
+    const story = item.url ? storiesByUrl.get(canonicalizeUrl(item.url)) : null;
+    if (story) return (story.coverage?.length ? story.coverage : [story]).map(sourceArticle);
+    return mentioningArticles(registry, competitor, candidates);
+  }, null);
+  if (saved > 0) console.log(`[Competitors] Recorded ${saved} competitor signals from the ${digest.profile} digest`);
+  return saved;
+}
+
+/**
+ * Source-article linker for an archived digest, whose stories are gone: a
+ * signal's URL when it has one, otherwise the digest's own insights and links
+ * that mention the competitor
+ */
+async function archivedSignalLinker(digest, registry) {
+  const items = [...(digest.top_insights || []), ...(digest.worth_reading || [])].filter(item => item?.url);
+  const links = [...items.map(item => item.url), ...(digest.competitive_signals || []).map(item => item?.url).filter(Boolean)];
+  const stored = await getArticlesByLinks(links);
+
+  const candidates = items.map(item => {
+    const article = stored.get(item.url);
+    return {
+      article: article ? sourceArticle(article) : { id: item.article_id ?? null, title: item.title || item.headline || null, source: item.source || null, link: item.url },
+      title: [item.headline || item.title, article?.title].filter(Boolean).join('\n'),
+      companies: article?.companies
+    };
+  });
+
+  return (item, competitor) => {
+    if (item.url) {
+      const article = stored.get(item.url);
+      return [article ? sourceArticle(article) : { id: null, title: null, source: null, link: item.url }];
+    }
+    return mentioningArticles(registry, competitor, candidates);
+  };
+}
+
+/**
+ * Import the competitive signals of every archived digest. Signals already
+ * stored are skipped, so this is safe to run on every startup.
+ * @returns {Promise<number>} Signals newly stored
+ */
+export async function importArchivedSignals() {
+  const digests = await readRecentDigests(Infinity);
+  let defaultProfileId = null;
+  try {
+    defaultProfileId = await getDefaultProfileId();
+  } catch (error) {
+    console.error('[Competitors] No default profile for older digests:', error.message);
+  }
+
+  const registry = await loadRegistry();
+  let saved = 0;
+  for (const digest of digests) {
+    if (!digest.competitive_signals?.length) continue;
+    saved += await saveDigestSignals(digest, registry, await archivedSignalLinker(digest, registry), defaultProfileId);
+  }
+  if (saved > 0) console.log(`[Competitors] Imported ${saved} competitor signals from ${digests.length} archived digests`);
+  return saved;
+}
+
+function displayName(registry, slug, latestName) {
+  return resolveCompetitors(registry, latestName).find(competitor => competitor.slug === slug)?.name || latestName;
+}
+
+/**
+ * Every registry competitor plus any unlisted one with signals, with signal
+ * counts overall and within a date range, busiest in the range first
+ * @param {Object} [range] - { from, to } digest dates (from inclusive, to exclusive)
+ */
+export async function listCompetitors({ from = null, to = null } = {}) {
+  const [allTime, inRange] = await Promise.all([getCompetitorSignalCounts(), getCompetitorSignalCounts({ from, to })]);
+  const rangeCounts = new Map(inRange.map(count => [count.slug, count.signalCount]));
+
+  const registry = await loadRegistry();
+  const competitors = new Map(registry.entities.map(entity => [entity.slug, {
+    slug: entity.slug, name: entity.name, aliases: entity.aliases, listed: true, signalCount: 0, rangeCount: 0, firstDate: null, lastDate: null
+  }]));
+  for (const count of allTime) {
+    const competitor = competitors.get(count.slug) || { slug: count.slug, name: displayName(registry, count.slug, count.latestName), aliases: [], listed: false };
+    competitors.set(count.slug, {
+      ...competitor,
+      signalCount: count.signalCount,
+      rangeCount: rangeCounts.get(count.slug) || 0,
+      firstDate: count.firstDate,
+      lastDate: count.lastDate
+    });
+  }
+
+  return [...competitors.values()].sort((a, b) =>
+    (b.rangeCount - a.rangeCount) || (b.lastDate || '').localeCompare(a.lastDate || '') || a.name.localeCompare(b.name));
+}
+
+/**
+ * One competitor's dossier: who it is, the names digests used for it, and its
+ * signals in a date range, newest first
+ * @param {string} slug - Competitor slug
+ * @param {Object} [range] - { from, to } digest dates (from inclusive, to exclusive)
+ * @returns {Promise<Object|null>} Null for a slug neither in the registry nor in any signal
+ */
+export async function getCompetitorDossier(slug, { from = null, to = null } = {}) {
+  const registry = await loadRegistry();
+  const entity = registry.bySlug.get(slug);
+  const allTime = (await getCompetitorSignalCounts()).find(count => count.slug === slug);
+  if (!entity && !allTime) return null;
+
+  const signals = await getCompetitorSignals(slug, { from, to });
+  return {
+    slug,
+    name: entity ? entity.name : displayName(registry, slug, allTime.latestName),
+    aliases: entity ? entity.aliases : [],
+    listed: Boolean(entity),
+    signalCount: allTime?.signalCount || 0,
+    firstDate: allTime?.firstDate || null,
+    lastDate: allTime?.lastDate || null,
+    namesSeen: [...new Set(signals.map(signal => signal.competitorName))],
+    signals
+  };
+}
+
+/**
+ * Calendar quarter containing a date, as "YYYY-Qn"
+ */
+export function quarterOf(date = new Date()) {
+  return `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+}
+
+/**
+ * Digest-date range of a quarter ("2026-Q3"), or null if it isn't one
+ * @returns {{quarter: string, from: string, to: string}|null} from inclusive, to exclusive
+ */
+export function quarterRange(quarter) {
+  const match = /^(\d{4})-Q([1-4])$/i.exec(quarter || '');
+  if (!match) return null;
+  const year = parseInt(match[1], 10);
+  const q = parseInt(match[2], 10);
+  const monthStart = month => `${String(month).padStart(2, '0')}-01`;
+  return {
+    quarter: `${year}-Q${q}`,
+    from: `${year}-${monthStart((q - 1) * 3 + 1)}`,
+    to: q === 4 ? `${year + 1}-01-01` : `${year}-${monthStart(q * 3 + 1)}`
+  };
+}
+
+/**
+ * The quarter before or after another ("2026-Q1", -1 → "2025-Q4")
+ */
+export function shiftQuarter(quarter, delta) {
+  const { from } = quarterRange(quarter);
+  const date = new Date(`${from}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + delta * 3);
+  return quarterOf(date);
+}
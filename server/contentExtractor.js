@@ -0,0 +1,205 @@
+import * as cheerio from 'cheerio';
+import { decode } from 'html-entities';
+import { sanitizeArticleHtml } from './htmlSanitizer.js';
+import { absolutizeUrls } from './htmlHelpers.js';
+import { detectPaywall } from './paywallDetector.js';
+import { politeFetch } from './httpClient.js';
+
+const EXTRACT_TIMEOUT_MS = 15000;
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_EXTRACTED_LENGTH = 500;
+
+const UNLIKELY_CANDIDATES = /banner|breadcrumb|combx|comment|community|cookie|disqus|extra|footer|gdpr|header|menu|modal|nav|newsletter|pager|popup|promo|related|remark|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|tool|widget|ad-break|advert/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow|story/i;
+const POSITIVE_WEIGHT = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_WEIGHT = /hidden|^hid$|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+/**
+ * Class/id weight, as in Arc90 readability
+ */
+function classWeight(el) {
+  const names = `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+  let weight = 0;
+  if (NEGATIVE_WEIGHT.test(names)) weight -= 25;
+  if (POSITIVE_WEIGHT.test(names)) weight += 25;
+  return weight;
+}
+
+function tagWeight(tagName) {
+  switch (tagName) {
+    case 'div': case 'article': case 'section': case 'main': return 5;
+    case 'pre': case 'td': case 'blockquote': return 3;
+    case 'address': case 'ol': case 'ul': case 'dl': case 'dd': case 'dt': case 'li': case 'form': return -3;
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': case 'th': return -5;
+    default: return 0;
+  }
+}
+
+/**
+ * Share of an element's text that sits inside links
+ */
+function linkDensity($, $el) {
+  const textLength = $el.text().trim().length;
+  if (textLength === 0) return 0;
+  let linkLength = 0;
+  $el.find('a').each((i, a) => { linkLength += $(a).text().trim().length; });
+  return linkLength / textLength;
+}
+
+/**
+ * Find the main content of an article page with a readability-style scoring pass:
+ * paragraphs score their parent and grandparent by length and comma count, scores
+ * are discounted by link density, and the best container is kept along with any
+ * siblings that score close to it.
+ * @param {string} html - Article page HTML
+ * @param {string} pageUrl - Page URL (for resolving relative links and images)
+ * @returns {{text: string, contentHtml: string}|null} Main content, or null when nothing article-like was found
+ */
+export function extractMainContent(html, pageUrl) {
+  const $ = cheerio.load(html);
+
+  $('script, style, noscript, iframe, form, nav, header, footer, aside, svg, button, input, select').remove();
+
+  // Drop unlikely candidates (but keep anything that also looks like content)
+  $('*').each((i, el) => {
+    if (el.tagName === 'body' || el.tagName === 'html' || el.tagName === 'article') return;
+    const names = `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+    if (names.trim() && UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATES.test(names)) {
+      $(el).remove();
+    }
+  });
+
+  const scores = new Map();
+  const initialize = (el) => {
+    if (!scores.has(el)) scores.set(el, tagWeight(el.tagName) + classWeight(el));
+  };
+
+  $('p, pre, td').each((i, el) => {
+    const text = $(el).text().trim();
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const parent = el.parent;
+    const grandparent = parent?.parent;
+    if (!parent || parent.type !== 'tag') return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+
+    initialize(parent);
+    scores.set(parent, scores.get(parent) + score);
+    if (grandparent && grandparent.type === 'tag') {
+      initialize(grandparent);
+      scores.set(grandparent, scores.get(grandparent) + score / 2);
+    }
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(el)));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+  if (!top) return null;
+
+  // Pull in siblings that look like part of the same article body
+  const threshold = Math.max(10, topScore * 0.2);
+  const parts = [];
+  const siblings = top.parent ? $(top.parent).children().toArray() : [top];
+  for (const sibling of siblings) {
+    if (sibling === top) {
+      parts.push(sibling);
+      continue;
+    }
+    if ((scores.get(sibling) || 0) >= threshold) {
+      parts.push(sibling);
+      continue;
+    }
+    if (sibling.tagName === 'p') {
+      const text = $(sibling).text().trim();
+      const density = linkDensity($, $(sibling));
+      if ((text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text))) {
+        parts.push(sibling);
+      }
+    }
+  }
+
+  const $content = cheerio.load('<div id="extracted"></div>');
+  const $root = $content('#extracted');
+  for (const part of parts) $root.append($(part).clone());
+
+  absolutizeUrls($content, $root, pageUrl);
+
+  const paragraphs = $root.find('p, li, blockquote, pre, h2, h3, h4')
+    .map((i, el) => $content(el).text().trim())
+    .get()
+    .filter(Boolean);
+  const text = decode(paragraphs.length > 0 ? paragraphs.join('\n\n') : $root.text())
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+
+  if (!text) return null;
+  return { text, contentHtml: sanitizeArticleHtml($root.html() || '') };
+}
+
+/**
+ * Fetch an article page, extract its main content and check it for a paywall
+ * @param {string} url - Article URL
+ * @returns {Promise<{text: string, contentHtml: string, paywall: Object}|null>}
+ */
+export async function fetchFullText(url) {
+  try {
+    const response = await politeFetch(url, {
+      headers: { 'Accept': 'text/html,application/xhtml+xml' },
+      timeoutMs: EXTRACT_TIMEOUT_MS,
+    });
+
+    if (!response.ok) {
+      console.error(`[Extract] HTTP ${response.status} for ${url}`);
+      return null;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !contentType.includes('html')) return null;
+
+    const html = await response.text();
+    const extracted = extractMainContent(html, response.url || url);
+    const paywall = detectPaywall({ url: response.url || url, html, text: extracted ? extracted.text : '' });
+
+    return { text: '', contentHtml: '', ...extracted, paywall };
+  } catch (error) {
+    console.error(`[Extract] Failed to fetch ${url}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Replace a teaser with the article's full text when extraction finds more,
+ * and flag the article when the page turns out to be paywalled.
+ * Mutates the article in place.
+ * @param {Object} article - Article with a short feed summary
+ * @returns {Promise<boolean>} True when the article was upgraded
+ */
+export async function extractFullText(article) {
+  const extracted = await fetchFullText(article.link);
+  const feedLength = (article.originalContent || '').length;
+
+  if (extracted && extracted.paywall.paywalled) {
+    article.paywalled = true;
+    article.paywallReason = extracted.paywall.reason;
+    return false;
+  }
+
+  if (!extracted || extracted.text.length < MIN_EXTRACTED_LENGTH || extracted.text.length <= feedLength) {
+    return false;
+  }
+
+  article.summary = extracted.text.substring(0, 300).trim() + '...';
+  article.originalContent = extracted.text;
+  article.contentHtml = extracted.contentHtml;
+  article.hasFullContent = true;
+  article.extractionMethod = 'readability';
+  return true;
+}
@@ -1,80 +1,138 @@
 import pkg from 'pg';
+import { gzipSync, gunzipSync } from 'zlib';
+import { canonicalizeUrl } from './urlCanonicalizer.js';
 const { Pool } = pkg;
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 10,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 5000
-});
-
-async function initDB() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS articles (
-        id SERIAL PRIMARY KEY,
-        link VARCHAR(2048) UNIQUE NOT NULL,
-        title TEXT NOT NULL,
-        source VARCHAR(255),
-        category VARCHAR(255),
-        type VARCHAR(50) DEFAULT 'article',
-        summary TEXT,
-        original_content TEXT,
-        image_url TEXT,
-        pub_date TIMESTAMP,
-        saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Add missing columns to existing table
-    try {
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS category VARCHAR(255)`);
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS image_url TEXT`);
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS type VARCHAR(50) DEFAULT 'article'`);
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS content_html TEXT`);
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS has_full_content BOOLEAN DEFAULT false`);
-    } catch (alterError) {
-      // Columns might already exist
-    }
+let pool = null;
 
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_source ON articles(source);
-      CREATE INDEX IF NOT EXISTS idx_category ON articles(category);
-      CREATE INDEX IF NOT EXISTS idx_pub_date ON articles(pub_date);
-      CREATE INDEX IF NOT EXISTS idx_saved_at ON articles(saved_at);
-    `);
+/**
+ * The connection pool, created on first query so importing this module never connects
+ */
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      max: 10,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000
+    });
+  }
+  return pool;
+}
 
-    console.log('[DB] Database initialized');
-  } catch (error) {
-    console.error('[DB] Error initializing database:', error.message);
+/**
+ * Map an articles row to the camelCase shape used across the pipeline
+ */
+function mapArticleRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    link: row.link,
+    canonicalUrl: row.canonical_url,
+    pubDate: row.pub_date,
+    source: row.source,
+    category: row.category,
+    type: row.type || 'article',
+    summary: row.summary,
+    originalContent: row.original_content,
+    imageUrl: row.image_url,
+    contentHtml: row.content_html,
+    hasFullContent: row.has_full_content || false,
+    dateline: row.dateline,
+    extractionMethod: row.extraction_method,
+    extractionAttempts: row.extraction_attempts || 0,
+    paywalled: row.paywalled || false,
+    paywallReason: row.paywall_reason,
+    firstSeenAt: row.first_seen_at,
+    lastDigestedAt: row.last_digested_at,
+    storyId: row.story_id || null,
+    aiSummary: row.ai_summary || null,
+    companies: row.companies || [],
+    topicTags: row.topic_tags || [],
+    relevanceScore: row.relevance_score ?? null,
+    enrichmentHash: row.enrichment_hash || null,
+    enrichedAt: row.enriched_at || null
+  };
+}
+
+// Columns whose changes are recorded in article_revisions, by article field name
+const REVISION_COLUMNS = {
+  title: 'title',
+  pubDate: 'pub_date',
+  category: 'category',
+  type: 'type',
+  summary: 'summary',
+  originalContent: 'original_content',
+  imageUrl: 'image_url',
+  contentHtml: 'content_html',
+  hasFullContent: 'has_full_content',
+  dateline: 'dateline',
+  extractionMethod: 'extraction_method',
+  paywalled: 'paywalled',
+  paywallReason: 'paywall_reason'
+};
+
+/**
+ * Field-level diff between two JSON articles rows
+ * @returns {Object<string, {from: *, to: *}>} Changed fields, by article field name
+ */
+function diffArticleRows(previous, current) {
+  const changes = {};
+  for (const [field, column] of Object.entries(REVISION_COLUMNS)) {
+    const from = previous[column] ?? null;
+    const to = current[column] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
   }
+  return changes;
 }
 
 /**
- * Store an article in the database
+ * Store an article in the database, keyed by its canonical URL
+ * (so tracking parameters, AMP and http/https variants update one row).
+ * Unchanged rows are left alone; the returned article carries its id and
+ * whether it was newly inserted or changed by this save. A missing pubDate
+ * means "unknown": new rows get the current time and existing rows keep theirs.
+ * Each update also records an article_revisions row with the fields that changed.
  */
 export async function saveArticle(article) {
+  const client = await getPool().connect();
   try {
-    const { title, link, pubDate, source, category, summary, originalContent, imageUrl, type, contentHtml, hasFullContent } = article;
+    const { title, link, pubDate, source, category, summary, originalContent, imageUrl, type, contentHtml, hasFullContent, dateline, extractionMethod,
+      paywalled, paywallReason } = article;
 
-    await pool.query(
-      `INSERT INTO articles (title, link, pub_date, source, category, type, summary, original_content, image_url, content_html, has_full_content)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-       ON CONFLICT (link) DO UPDATE SET
+    await client.query('BEGIN');
+    const result = await client.query(
+      `WITH previous AS (SELECT * FROM articles WHERE canonical_url = $17)
+       INSERT INTO articles (title, link, pub_date, source, category, type, summary, original_content, image_url, content_html, has_full_content, dateline, extraction_method,
+                             paywalled, paywall_reason, canonical_url)
+       VALUES ($1, $2, COALESCE($3::timestamp, $13::timestamp), $4, $5, $6, $7, $8, $9, $10, $11, $12, $14, $15, $16, $17)
+       ON CONFLICT (canonical_url) DO UPDATE SET
          title = EXCLUDED.title,
+         pub_date = COALESCE($3::timestamp, articles.pub_date),
          category = EXCLUDED.category,
          type = EXCLUDED.type,
          summary = EXCLUDED.summary,
          original_content = EXCLUDED.original_content,
          image_url = EXCLUDED.image_url,
          content_html = EXCLUDED.content_html,
-         has_full_content = EXCLUDED.has_full_content
+         has_full_content = EXCLUDED.has_full_content,
+         dateline = EXCLUDED.dateline,
+         extraction_method = EXCLUDED.extraction_method,
+         paywalled = EXCLUDED.paywalled,
+         paywall_reason = EXCLUDED.paywall_reason
+       WHERE (articles.title, articles.pub_date, articles.category, articles.type, articles.summary, articles.original_content,
+              articles.image_url, articles.content_html, articles.has_full_content, articles.dateline, articles.extraction_method,
+              articles.paywalled, articles.paywall_reason)
+         IS DISTINCT FROM (EXCLUDED.title, COALESCE($3::timestamp, articles.pub_date), EXCLUDED.category, EXCLUDED.type, EXCLUDED.summary,
+              EXCLUDED.original_content, EXCLUDED.image_url, EXCLUDED.content_html, EXCLUDED.has_full_content, EXCLUDED.dateline,
+              EXCLUDED.extraction_method, EXCLUDED.paywalled, EXCLUDED.paywall_reason)
+       RETURNING id, (xmax = 0) AS inserted, row_to_json(articles.*) AS current,
+                 (SELECT row_to_json(previous.*) FROM previous) AS previous
        `,
       [
         title || '',
         link || '',
-        pubDate || new Date().toISOString(),
+        pubDate || null,
         source || '',
         category || '',
         type || 'article',
@@ -82,94 +140,539 @@ export async function saveArticle(article) {
         originalContent || '',
         imageUrl || null,
         contentHtml || null,
-        hasFullContent || false
+        hasFullContent || false,
+        dateline || null,
+        new Date().toISOString(),
+        extractionMethod || null,
+        paywalled || false,
+        paywallReason || null,
+        canonicalizeUrl(link)
       ]
     );
 
-    console.log(`[DB] Article saved: ${title.substring(0, 50)}`);
-    return article;
+    // No row back means the conflict update was skipped because nothing changed
+    if (result.rows.length === 0) {
+      await client.query('COMMIT');
+      return { ...article, isNew: false, changed: false };
+    }
+
+    const { id, inserted, current, previous } = result.rows[0];
+    if (!inserted) {
+      await client.query('INSERT INTO article_revisions (article_id, changes) VALUES ($1, $2)', [id, diffArticleRows(previous, current)]);
+    }
+    await client.query('COMMIT');
+
+    console.log(`[DB] Article ${inserted ? 'saved' : 'updated'}: ${title.substring(0, 50)}`);
+    return { ...article, id, isNew: inserted, changed: true };
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('[DB] Error saving article:', error.message);
     throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Enrichments already made for any of the given content hashes, from
+ * whichever article carries them
+ * @param {Array<string>} hashes - Content hashes (see articleEnricher.contentHash)
+ * @returns {Promise<Map<string, {aiSummary: string, companies: Array<string>, topicTags: Array<string>, relevanceScore: number}>>}
+ */
+export async function getEnrichmentsByHash(hashes) {
+  const found = new Map();
+  if (!hashes || hashes.length === 0) return found;
+  try {
+    const result = await getPool().query(
+      `SELECT DISTINCT ON (enrichment_hash) enrichment_hash, ai_summary, companies, topic_tags, relevance_score
+       FROM articles WHERE enrichment_hash = ANY($1) AND ai_summary IS NOT NULL
+       ORDER BY enrichment_hash, enriched_at DESC`,
+      [hashes]
+    );
+    for (const row of result.rows) {
+      found.set(row.enrichment_hash, {
+        aiSummary: row.ai_summary,
+        companies: row.companies || [],
+        topicTags: row.topic_tags || [],
+        relevanceScore: row.relevance_score
+      });
+    }
+  } catch (error) {
+    console.error('[DB] Error getting enrichments:', error.message);
+  }
+  return found;
+}
+
+/**
+ * Store an article's enrichment along with the content hash it was made from
+ * @param {number} id - Article id
+ * @param {Object} enrichment - { contentHash, aiSummary, companies, topicTags, relevanceScore }
+ */
+export async function saveArticleEnrichment(id, { contentHash, aiSummary, companies, topicTags, relevanceScore }) {
+  try {
+    await getPool().query(
+      `UPDATE articles SET ai_summary = $2, companies = $3, topic_tags = $4, relevance_score = $5,
+                           enrichment_hash = $6, enriched_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, aiSummary, companies, topicTags, relevanceScore, contentHash]
+    );
+  } catch (error) {
+    console.error(`[DB] Error saving enrichment for article ${id}:`, error.message);
+  }
+}
+
+/**
+ * Count one more full-text extraction retry for each article
+ * @param {Array<number>} ids - Article ids
+ */
+export async function recordExtractionAttempts(ids) {
+  if (!ids || ids.length === 0) return;
+  try {
+    await getPool().query('UPDATE articles SET extraction_attempts = extraction_attempts + 1 WHERE id = ANY($1)', [ids]);
+  } catch (error) {
+    console.error('[DB] Error recording extraction attempts:', error.message);
+  }
+}
+
+/**
+ * Revision history of an article, oldest first. Each entry's `changes` maps a
+ * field to its value before (`from`) and after (`to`) the update.
+ * @param {number} articleId - Article id (hot or archived)
+ * @returns {Promise<Array<{id: number, revisedAt: Date, changes: Object}>>}
+ */
+export async function getArticleRevisions(articleId) {
+  try {
+    const result = await getPool().query(
+      'SELECT id, revised_at, changes FROM article_revisions WHERE article_id = $1 ORDER BY revised_at ASC, id ASC',
+      [articleId]
+    );
+    return result.rows.map(row => ({ id: row.id, revisedAt: row.revised_at, changes: row.changes }));
+  } catch (error) {
+    console.error('[DB] Error getting article revisions:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Look up already-stored articles by link, matching on canonical URL
+ * @param {Array<string>} links - Article URLs
+ * @returns {Promise<Map<string, Object>>} Stored articles keyed by the link as passed in
+ */
+export async function getArticlesByLinks(links) {
+  if (!links || links.length === 0) return new Map();
+  try {
+    const result = await getPool().query('SELECT * FROM articles WHERE canonical_url = ANY($1)', [links.map(canonicalizeUrl)]);
+    const byCanonical = new Map(result.rows.map(row => [row.canonical_url, mapArticleRow(row)]));
+    const found = new Map();
+    for (const link of links) {
+      const article = byCanonical.get(canonicalizeUrl(link));
+      if (article) found.set(link, article);
+    }
+    return found;
+  } catch (error) {
+    console.error('[DB] Error getting articles by link:', error.message);
+    throw error;
+  }
+}
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Keyset sort key: newest first, id breaks ties. Undated rows sort as oldest.
+const ARTICLE_SORT_KEY = "COALESCE(pub_date, 'epoch'::timestamp)";
+
+/**
+ * Build the WHERE clause shared by the article listing queries
+ * filters.undigested limits to articles never included in a digest;
+ * filters.firstSeenAfter limits by when we first saw the article, not its claimed pubDate.
+ */
+function buildArticleFilters(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.source) {
+    params.push(filters.source);
+    conditions.push(`source = $${params.length}`);
+  }
+
+  if (filters.category) {
+    params.push(filters.category);
+    conditions.push(`category = $${params.length}`);
+  }
+
+  if (filters.undigested) {
+    conditions.push('last_digested_at IS NULL');
+  }
+
+  if (filters.firstSeenAfter) {
+    params.push(new Date(filters.firstSeenAfter).toISOString());
+    conditions.push(`first_seen_at >= $${params.length}`);
+  }
+
+  if (filters.startDate) {
+    params.push(new Date(filters.startDate).toISOString());
+    conditions.push(`pub_date >= $${params.length}`);
+  }
+
+  if (filters.endDate) {
+    const endDate = new Date(filters.endDate);
+    endDate.setHours(23, 59, 59, 999);
+    params.push(endDate.toISOString());
+    conditions.push(`pub_date <= $${params.length}`);
+  }
+
+  if (filters.keyword) {
+    params.push(filters.keyword);
+    conditions.push(`search_vector @@ websearch_to_tsquery('english', $${params.length})`);
+  }
+
+  return { conditions, params };
+}
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ d: row.sort_key, id: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof d !== 'string' || isNaN(new Date(d).getTime()) || !Number.isInteger(id)) throw new Error();
+    return { date: d, id };
+  } catch {
+    throw new Error('Invalid article cursor');
+  }
+}
+
+/**
+ * Fetch one page of articles, newest first, using keyset pagination
+ * Pages stay stable while new articles arrive: pass the returned nextCursor to
+ * continue after the last row seen. Throws on failure so callers never mistake
+ * an error for the end of the list.
+ * @param {Object} filters - Same filters as getArticles
+ * @param {Object} options
+ * @param {number} options.pageSize - Rows per page (max 500)
+ * @param {string|null} options.cursor - Cursor from the previous page, or null for the first page
+ * @returns {Promise<{articles: Array, nextCursor: string|null}>}
+ */
+export async function getArticlesPage(filters = {}, { pageSize = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+  const { conditions, params } = buildArticleFilters(filters);
+  const limit = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (cursor) {
+    const { date, id } = decodeCursor(cursor);
+    params.push(date, id);
+    conditions.push(`(${ARTICLE_SORT_KEY}, id) < ($${params.length - 1}::timestamp, $${params.length})`);
+  }
+
+  params.push(limit + 1);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const result = await getPool().query(
+      `SELECT *, ${ARTICLE_SORT_KEY}::text AS sort_key FROM articles ${where} ORDER BY ${ARTICLE_SORT_KEY} DESC, id DESC LIMIT $${params.length}`,
+      params
+    );
+
+    // One extra row tells us whether another page exists
+    const rows = result.rows.slice(0, limit);
+    const nextCursor = result.rows.length > limit ? encodeCursor(rows[rows.length - 1]) : null;
+    return { articles: rows.map(mapArticleRow), nextCursor };
+  } catch (error) {
+    console.error('[DB] Error retrieving article page:', error.message);
+    throw error;
   }
 }
 
 /**
- * Retrieve all articles with optional filters
+ * Stream every matching article, newest first, a page at a time
+ * @param {Object} filters - Same filters as getArticles
+ * @param {Object} options
+ * @param {number} options.pageSize - Rows fetched per query
+ */
+export async function* iterateArticles(filters = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  let cursor = null;
+  do {
+    const page = await getArticlesPage(filters, { pageSize, cursor });
+    yield* page.articles;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+/**
+ * Retrieve all articles with optional filters (every match, no row cap)
+ * Use iterateArticles or getArticlesPage when the result could be large.
  */
 export async function getArticles(filters = {}) {
   try {
-    let query = 'SELECT * FROM articles WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+    const articles = [];
+    for await (const article of iterateArticles(filters)) {
+      articles.push(article);
+    }
+
+    console.log(`[DB] Retrieved ${articles.length} articles`);
+    return articles;
+  } catch (error) {
+    console.error('[DB] Error retrieving articles:', error.message);
+    return [];
+  }
+}
+
+// Private-use sentinels so highlights survive HTML escaping of the snippet text
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+/**
+ * Escape snippet text for HTML and turn highlight sentinels into <mark> tags
+ */
+function renderHighlight(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_END, '</mark>');
+}
+
+/**
+ * Full-text search over title, summary and body, ranked by relevance.
+ * The query uses web-search syntax: "quoted phrases", -excluded terms, and OR.
+ * Title matches weigh most, then summary, then body.
+ * @param {string} text - Search query, e.g. `"loss mitigation" -webinar`
+ * @param {Object} filters
+ * @param {string} [filters.source] - Exact source name
+ * @param {string} [filters.category] - Exact category
+ * @param {string|Date} [filters.startDate] - Earliest pub_date
+ * @param {string|Date} [filters.endDate] - Latest pub_date (inclusive of that UTC day)
+ * @param {number} [filters.limit] - Page size (max 100)
+ * @param {number} [filters.offset] - Results to skip
+ * @returns {Promise<{total: number, results: Array}>} Matches with rank and HTML-safe highlighted title/snippet
+ */
+export async function searchArticles(text, filters = {}) {
+  try {
+    const params = [text];
+    const conditions = [`search_vector @@ websearch_to_tsquery('english', $1)`];
 
     if (filters.source) {
-      query += ` AND source = $${paramIndex}`;
       params.push(filters.source);
-      paramIndex++;
+      conditions.push(`source = $${params.length}`);
     }
 
     if (filters.category) {
-      query += ` AND category = $${paramIndex}`;
       params.push(filters.category);
-      paramIndex++;
+      conditions.push(`category = $${params.length}`);
     }
 
     if (filters.startDate) {
-      query += ` AND pub_date >= $${paramIndex}`;
       params.push(new Date(filters.startDate).toISOString());
-      paramIndex++;
+      conditions.push(`pub_date >= $${params.length}`);
     }
 
     if (filters.endDate) {
       const endDate = new Date(filters.endDate);
-      endDate.setHours(23, 59, 59, 999);
-      query += ` AND pub_date <= $${paramIndex}`;
+      endDate.setUTCHours(23, 59, 59, 999);
       params.push(endDate.toISOString());
-      paramIndex++;
+      conditions.push(`pub_date <= $${params.length}`);
     }
 
-    if (filters.keyword) {
-      const keyword = `%${filters.keyword}%`;
-      query += ` AND (title ILIKE $${paramIndex} OR summary ILIKE $${paramIndex})`;
-      params.push(keyword);
-      params.push(keyword);
-      paramIndex += 2;
-    }
+    const where = conditions.join(' AND ');
+    const countResult = await getPool().query(`SELECT COUNT(*) AS total FROM articles WHERE ${where}`, params);
 
-    query += ' ORDER BY pub_date DESC LIMIT 100';
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    params.push(limit, offset);
 
-    const result = await pool.query(query, params);
+    // Rank and page first so ts_headline only runs on the rows returned
+    const result = await getPool().query(
+      `WITH matches AS (
+         SELECT id, title, link, source, category, type, pub_date, paywalled, summary, original_content,
+                ts_rank(search_vector, websearch_to_tsquery('english', $1), 1) AS rank
+         FROM articles
+         WHERE ${where}
+         ORDER BY rank DESC, pub_date DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}
+       )
+       SELECT id, title, link, source, category, type, pub_date, paywalled, rank,
+              ts_headline('english', title, websearch_to_tsquery('english', $1), 'HighlightAll=true, StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}') AS title_highlight,
+              ts_headline('english', COALESCE(NULLIF(original_content, ''), summary, ''), websearch_to_tsquery('english', $1), '${HEADLINE_OPTIONS}') AS snippet
+       FROM matches
+       ORDER BY rank DESC, pub_date DESC`,
+      params
+    );
 
-    const articles = result.rows.map(row => ({
+    const results = result.rows.map(row => ({
       id: row.id,
       title: row.title,
       link: row.link,
-      pubDate: row.pub_date,
       source: row.source,
       category: row.category,
       type: row.type || 'article',
-      summary: row.summary,
-      originalContent: row.original_content,
-      imageUrl: row.image_url,
-      contentHtml: row.content_html,
-      hasFullContent: row.has_full_content || false
+      pubDate: row.pub_date,
+      paywalled: row.paywalled || false,
+      rank: Number(row.rank),
+      titleHighlight: renderHighlight(row.title_highlight),
+      snippet: renderHighlight(row.snippet)
     }));
 
-    console.log(`[DB] Retrieved ${articles.length} articles`);
-    return articles;
+    const total = parseInt(countResult.rows[0].total, 10);
+    console.log(`[DB] Search "${text}": ${total} matches`);
+    return { total, results };
   } catch (error) {
-    console.error('[DB] Error retrieving articles:', error.message);
+    console.error('[DB] Error searching articles:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Advance the digest watermark for the articles included in a digest
+ * @param {Array<number>} ids - Article IDs sent to the model
+ * @param {string|Date} digestedAt - When the digest ran
+ * @returns {Promise<number>} Rows marked
+ */
+export async function markArticlesDigested(ids, digestedAt = new Date()) {
+  if (!ids || ids.length === 0) return 0;
+  try {
+    const result = await getPool().query(
+      'UPDATE articles SET last_digested_at = $1 WHERE id = ANY($2)',
+      [new Date(digestedAt).toISOString(), ids]
+    );
+    console.log(`[DB] Marked ${result.rowCount} articles as digested`);
+    return result.rowCount;
+  } catch (error) {
+    console.error('[DB] Error marking articles digested:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Articles first seen since a cutoff that haven't been assigned to a story yet
+ * @param {string|Date} since - Earliest first_seen_at to consider
+ * @returns {Promise<Array>} Oldest first, so earlier coverage founds the story
+ */
+export async function getUnclusteredArticles(since) {
+  try {
+    const result = await getPool().query(
+      `SELECT * FROM articles WHERE story_id IS NULL AND first_seen_at >= $1 ORDER BY first_seen_at ASC, id ASC`,
+      [new Date(since).toISOString()]
+    );
+    return result.rows.map(mapArticleRow);
+  } catch (error) {
+    console.error('[DB] Error getting unclustered articles:', error.message);
     return [];
   }
 }
 
+/**
+ * MinHash signatures of clustered articles first seen since a cutoff
+ * @returns {Promise<Array<{id: number, storyId: number, minhash: Array<number>}>>}
+ */
+export async function getStorySignatures(since) {
+  try {
+    const result = await getPool().query(
+      `SELECT id, story_id, minhash FROM articles
+       WHERE story_id IS NOT NULL AND minhash IS NOT NULL AND first_seen_at >= $1`,
+      [new Date(since).toISOString()]
+    );
+    return result.rows.map(row => ({ id: row.id, storyId: row.story_id, minhash: row.minhash }));
+  } catch (error) {
+    console.error('[DB] Error getting story signatures:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Put an article in a story, starting a new story when storyId is null
+ * @param {number} articleId - Article to assign
+ * @param {number|null} storyId - Existing story, or null for a new one
+ * @param {Array<number>|null} minhash - The article's signature (null when too short to compare)
+ * @returns {Promise<number>} The story id
+ */
+export async function assignArticleToStory(articleId, storyId, minhash) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    let id = storyId;
+    if (!id) {
+      const created = await client.query('INSERT INTO stories DEFAULT VALUES RETURNING id');
+      id = created.rows[0].id;
+    }
+    await client.query('UPDATE articles SET story_id = $1, minhash = $2 WHERE id = $3', [id, minhash, articleId]);
+    await client.query('COMMIT');
+    return id;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[DB] Error assigning article to story:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Recount a story and pick its canonical article: readable over paywalled,
+ * full text over teasers, longer over shorter, then earliest seen
+ * @param {Array<number>} storyIds - Stories whose membership changed
+ */
+export async function refreshStories(storyIds) {
+  if (!storyIds || storyIds.length === 0) return;
+  try {
+    await getPool().query(
+      `UPDATE stories s SET
+         canonical_article_id = (
+           SELECT id FROM articles a WHERE a.story_id = s.id
+           ORDER BY a.paywalled ASC, a.has_full_content DESC, length(COALESCE(a.original_content, '')) DESC, a.first_seen_at ASC, a.id ASC
+           LIMIT 1
+         ),
+         article_count = (SELECT COUNT(*) FROM articles a WHERE a.story_id = s.id),
+         source_count = (SELECT COUNT(DISTINCT source) FROM articles a WHERE a.story_id = s.id),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE s.id = ANY($1)`,
+      [storyIds]
+    );
+  } catch (error) {
+    console.error('[DB] Error refreshing stories:', error.message);
+  }
+}
+
+/**
+ * Every article in the given stories, plus each story's canonical article id
+ * @param {Array<number>} storyIds - Story ids
+ * @returns {Promise<Map<number, {canonicalArticleId: number, articles: Array}>>}
+ */
+export async function getStoryMembers(storyIds) {
+  if (!storyIds || storyIds.length === 0) return new Map();
+  try {
+    const result = await getPool().query(
+      `SELECT a.id, a.title, a.link, a.source, a.first_seen_at, a.story_id, s.canonical_article_id
+       FROM articles a JOIN stories s ON s.id = a.story_id
+       WHERE a.story_id = ANY($1)
+       ORDER BY a.first_seen_at ASC, a.id ASC`,
+      [storyIds]
+    );
+    const stories = new Map();
+    for (const row of result.rows) {
+      if (!stories.has(row.story_id)) {
+        stories.set(row.story_id, { canonicalArticleId: row.canonical_article_id, articles: [] });
+      }
+      stories.get(row.story_id).articles.push({
+        id: row.id, title: row.title, link: row.link, source: row.source, firstSeenAt: row.first_seen_at
+      });
+    }
+    return stories;
+  } catch (error) {
+    console.error('[DB] Error getting story members:', error.message);
+    return new Map();
+  }
+}
+
 /**
  * Get unique sources
  */
 export async function getSources() {
   try {
-    const result = await pool.query(
+    const result = await getPool().query(
       'SELECT DISTINCT source FROM articles WHERE source IS NOT NULL ORDER BY source'
     );
     return result.rows.map(row => row.source);
@@ -179,62 +682,474 @@ export async function getSources() {
   }
 }
 
+const ARCHIVE_BATCH_SIZE = 200;
+
 /**
- * Clear old articles (older than 90 days)
+ * Fields kept gzip'd in archived_articles.content rather than in columns
  */
-export async function cleanOldArticles() {
+function packArchivedContent(row) {
+  return gzipSync(JSON.stringify({
+    summary: row.summary,
+    originalContent: row.original_content,
+    imageUrl: row.image_url,
+    contentHtml: row.content_html,
+    hasFullContent: row.has_full_content || false,
+    dateline: row.dateline,
+    extractionMethod: row.extraction_method,
+    paywalled: row.paywalled || false,
+    paywallReason: row.paywall_reason,
+    aiSummary: row.ai_summary || null,
+    companies: row.companies || [],
+    topicTags: row.topic_tags || [],
+    relevanceScore: row.relevance_score ?? null
+  }));
+}
+
+function mapArchivedRow(row) {
+  const content = JSON.parse(gunzipSync(row.content).toString('utf8'));
+  return {
+    id: row.id,
+    title: row.title,
+    link: row.link,
+    canonicalUrl: row.canonical_url,
+    pubDate: row.pub_date,
+    source: row.source,
+    category: row.category,
+    type: row.type || 'article',
+    ...content,
+    firstSeenAt: row.first_seen_at,
+    lastDigestedAt: row.last_digested_at,
+    storyId: null,
+    archived: true,
+    archivedAt: row.archived_at
+  };
+}
+
+/**
+ * Move articles past their retention period into the cold tier
+ * (archived_articles), a batch per transaction. Each category keeps articles
+ * for its own number of days, others for defaultDays; null means keep forever.
+ * Pinned articles — and articles merged into them — stay hot whatever their age.
+ * @param {Object} policy
+ * @param {number|null} policy.defaultDays - Retention for categories without a rule
+ * @param {Object<string, number|null>} policy.categories - Days per category
+ * @param {Array<number>} policy.pinnedIds - Article ids that must not be archived
+ * @returns {Promise<{archived: number, pinned: number}>} Articles archived, and expired articles kept because they're pinned
+ */
+export async function archiveExpiredArticles({ defaultDays = null, categories = {}, pinnedIds = [] } = {}) {
+  const cutoff = (days) => (days === null || days === undefined ? null : new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+  const names = Object.keys(categories);
+  const expired = `
+    WITH rules AS (SELECT * FROM unnest($1::text[], $2::timestamp[]) AS r(category, cutoff)),
+    pinned AS (
+      SELECT unnest($4::int[]) AS id
+      UNION SELECT article_id FROM article_redirects WHERE old_id = ANY($4::int[])
+    )
+    SELECT a.*, EXISTS (SELECT 1 FROM pinned p WHERE p.id = a.id) AS is_pinned
+    FROM articles a LEFT JOIN rules r ON r.category = a.category
+    WHERE a.pub_date < CASE WHEN r.category IS NULL THEN $3::timestamp ELSE r.cutoff END`;
+  const params = [names, names.map(name => cutoff(categories[name])), cutoff(defaultDays), pinnedIds];
+
+  const client = await getPool().connect();
   try {
-    const ninetyDaysAgo = new Date();
-    ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
+    const pinnedResult = await client.query(`SELECT COUNT(*) AS pinned FROM (${expired}) e WHERE e.is_pinned`, params);
+    let archived = 0;
 
-    const result = await pool.query(
-      'DELETE FROM articles WHERE pub_date < $1',
-      [ninetyDaysAgo.toISOString()]
-    );
+    for (;;) {
+      const batch = await client.query(`SELECT * FROM (${expired}) e WHERE NOT e.is_pinned ORDER BY e.id LIMIT ${ARCHIVE_BATCH_SIZE}`, params);
+      if (batch.rows.length === 0) break;
 
-    console.log(`[DB] Cleaned ${result.rowCount} old articles`);
-    return { removed: result.rowCount };
+      await client.query('BEGIN');
+      try {
+        for (const row of batch.rows) {
+          await client.query(
+            `INSERT INTO archived_articles (id, canonical_url, link, title, source, category, type, pub_date, first_seen_at, last_digested_at, content)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             ON CONFLICT (id) DO NOTHING`,
+            [row.id, row.canonical_url, row.link, row.title, row.source, row.category, row.type, row.pub_date, row.first_seen_at,
+              row.last_digested_at, packArchivedContent(row)]
+          );
+        }
+        await client.query('DELETE FROM articles WHERE id = ANY($1)', [batch.rows.map(row => row.id)]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+      archived += batch.rows.length;
+    }
+
+    // Stories whose every article was just archived
+    await client.query('DELETE FROM stories s WHERE NOT EXISTS (SELECT 1 FROM articles a WHERE a.story_id = s.id)');
+
+    const pinned = parseInt(pinnedResult.rows[0].pinned, 10);
+    console.log(`[DB] Archived ${archived} expired articles (${pinned} pinned by digests)`);
+    return { archived, pinned };
   } catch (error) {
-    console.error('[DB] Error cleaning old articles:', error.message);
-    return { removed: 0 };
+    console.error('[DB] Error archiving expired articles:', error.message);
+    return { archived: 0, pinned: 0 };
+  } finally {
+    client.release();
   }
 }
 
 /**
  * Get a single article by ID (for reader endpoint)
+ * Ids of articles merged into another row resolve to the row they were merged
+ * into; archived articles come back from the cold tier with `archived: true`.
  */
 export async function getArticleById(id) {
   try {
-    const result = await pool.query('SELECT * FROM articles WHERE id = $1', [id]);
+    const target = 'COALESCE((SELECT article_id FROM article_redirects WHERE old_id = $1), $1)';
+    const result = await getPool().query(`SELECT * FROM articles WHERE id = ${target}`, [id]);
+    if (result.rows.length > 0) return mapArticleRow(result.rows[0]);
+
+    const archived = await getPool().query(`SELECT * FROM archived_articles WHERE id = ${target}`, [id]);
+    return archived.rows.length > 0 ? mapArchivedRow(archived.rows[0]) : null;
+  } catch (error) {
+    console.error('[DB] Error getting article by ID:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the cached conditional-GET validators for a feed
+ * @param {string} source - Source name
+ * @returns {Promise<{feedUrl: string, etag: string|null, lastModified: string|null}|null>}
+ */
+export async function getFeedCache(source) {
+  try {
+    const result = await getPool().query(
+      'SELECT feed_url, etag, last_modified FROM source_health WHERE source = $1',
+      [source]
+    );
     if (result.rows.length === 0) return null;
     const row = result.rows[0];
-    return {
-      id: row.id,
-      title: row.title,
-      link: row.link,
-      pubDate: row.pub_date,
+    return { feedUrl: row.feed_url, etag: row.etag, lastModified: row.last_modified };
+  } catch (error) {
+    console.error('[DB] Error getting feed cache:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record the outcome of a single source fetch
+ * Failures keep the previous validators and bump consecutive_failures.
+ * @param {Object} source - Source config ({ name, rss })
+ * @param {Object} outcome - { status, itemCount, newItemCount, latencyMs, etag, lastModified, error }
+ */
+export async function recordSourceFetch(source, outcome) {
+  try {
+    const success = !outcome.error;
+    await getPool().query(
+      `INSERT INTO source_health (source, feed_url, etag, last_modified, last_status, last_item_count, last_new_count,
+                                  last_latency_ms, last_error, consecutive_failures, last_fetched_at, last_success_at, last_new_item_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+               CASE WHEN $10::boolean THEN 0 ELSE 1 END,
+               NOW(),
+               CASE WHEN $10::boolean THEN NOW() END,
+               CASE WHEN $7::int > 0 THEN NOW() END)
+       ON CONFLICT (source) DO UPDATE SET
+         feed_url = EXCLUDED.feed_url,
+         etag = CASE WHEN $10::boolean THEN EXCLUDED.etag ELSE source_health.etag END,
+         last_modified = CASE WHEN $10::boolean THEN EXCLUDED.last_modified ELSE source_health.last_modified END,
+         last_status = EXCLUDED.last_status,
+         last_item_count = COALESCE(EXCLUDED.last_item_count, source_health.last_item_count),
+         last_new_count = EXCLUDED.last_new_count,
+         last_latency_ms = EXCLUDED.last_latency_ms,
+         last_error = EXCLUDED.last_error,
+         consecutive_failures = CASE WHEN $10::boolean THEN 0 ELSE source_health.consecutive_failures + 1 END,
+         last_fetched_at = EXCLUDED.last_fetched_at,
+         last_success_at = COALESCE(EXCLUDED.last_success_at, source_health.last_success_at),
+         last_new_item_at = COALESCE(EXCLUDED.last_new_item_at, source_health.last_new_item_at)
+      `,
+      [
+        source.name,
+        source.rss || null,
+        outcome.etag || null,
+        outcome.lastModified || null,
+        outcome.status || null,
+        outcome.itemCount ?? null,
+        outcome.newItemCount || 0,
+        outcome.latencyMs ?? null,
+        outcome.error || null,
+        success
+      ]
+    );
+  } catch (error) {
+    console.error('[DB] Error recording source fetch:', error.message);
+  }
+}
+
+/**
+ * Get the latest fetch outcome for every tracked source
+ */
+export async function getSourceHealth() {
+  try {
+    const result = await getPool().query('SELECT * FROM source_health ORDER BY source');
+    return result.rows.map(row => ({
       source: row.source,
-      category: row.category,
-      type: row.type || 'article',
-      summary: row.summary,
-      originalContent: row.original_content,
-      imageUrl: row.image_url,
-      contentHtml: row.content_html,
-      hasFullContent: row.has_full_content || false
-    };
+      feedUrl: row.feed_url,
+      lastStatus: row.last_status,
+      lastItemCount: row.last_item_count,
+      lastNewCount: row.last_new_count,
+      lastLatencyMs: row.last_latency_ms,
+      lastError: row.last_error,
+      consecutiveFailures: row.consecutive_failures || 0,
+      lastFetchedAt: row.last_fetched_at,
+      lastSuccessAt: row.last_success_at,
+      lastNewItemAt: row.last_new_item_at,
+      trackedSince: row.tracked_since
+    }));
   } catch (error) {
-    console.error('[DB] Error getting article by ID:', error.message);
+    console.error('[DB] Error getting source health:', error.message);
+    throw error;
+  }
+}
+
+function mapRunRow(row) {
+  return {
+    id: row.id,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    status: row.status,
+    articleCount: row.article_count,
+    storyCount: row.story_count,
+    emailStatus: row.email_status,
+    error: row.error,
+    llmUsage: {
+      calls: parseInt(row.llm_calls, 10) || 0,
+      inputTokens: parseInt(row.llm_input_tokens, 10) || 0,
+      outputTokens: parseInt(row.llm_output_tokens, 10) || 0,
+      costUsd: Number(row.llm_cost_usd) || 0
+    }
+  };
+}
+
+/**
+ * Record the start of a digest pipeline run
+ * @returns {Promise<number|null>} Run id, or null when it couldn't be recorded
+ */
+export async function startRun() {
+  try {
+    const result = await getPool().query(`INSERT INTO digest_runs (status) VALUES ('running') RETURNING id`);
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('[DB] Error starting run:', error.message);
     return null;
   }
 }
 
-// Initialize database when module loads
-initDB();
+/**
+ * Record how a digest pipeline run ended
+ * @param {number|null} id - Run id from startRun
+ * @param {Object} outcome - { status, articleCount, storyCount, emailStatus, error }
+ */
+export async function finishRun(id, outcome) {
+  if (!id) return;
+  try {
+    await getPool().query(
+      `UPDATE digest_runs SET finished_at = NOW(), status = $2, article_count = $3, story_count = $4, email_status = $5, error = $6
+       WHERE id = $1`,
+      [id, outcome.status, outcome.articleCount ?? null, outcome.storyCount ?? null, outcome.emailStatus || null, outcome.error || null]
+    );
+  } catch (error) {
+    console.error('[DB] Error finishing run:', error.message);
+  }
+}
+
+/**
+ * Most recent digest pipeline runs, newest first
+ * @param {number} limit - Runs to return
+ */
+export async function getRecentRuns(limit = 20) {
+  try {
+    const result = await getPool().query(
+      `SELECT r.*, u.calls AS llm_calls, u.input_tokens AS llm_input_tokens, u.output_tokens AS llm_output_tokens, u.cost_usd AS llm_cost_usd
+       FROM digest_runs r
+       LEFT JOIN (
+         SELECT run_id, COUNT(*) AS calls, SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens, SUM(cost_usd) AS cost_usd
+         FROM llm_usage GROUP BY run_id
+       ) u ON u.run_id = r.id
+       ORDER BY r.id DESC LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(mapRunRow);
+  } catch (error) {
+    console.error('[DB] Error getting runs:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Record one LLM call
+ * @param {Object} entry - { runId, task, model, status, inputTokens, outputTokens, latencyMs, retries, costUsd }
+ */
+export async function recordLlmUsage(entry) {
+  try {
+    await getPool().query(
+      `INSERT INTO llm_usage (run_id, task, model, status, input_tokens, output_tokens, latency_ms, retries, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [entry.runId || null, entry.task, entry.model, entry.status, entry.inputTokens ?? null, entry.outputTokens ?? null,
+        entry.latencyMs ?? null, entry.retries || 0, entry.costUsd ?? null]
+    );
+  } catch (error) {
+    console.error('[DB] Error recording LLM usage:', error.message);
+  }
+}
+
+/**
+ * LLM usage totals per (UTC) day or month and task, newest period first
+ * @param {Object} options
+ * @param {string} options.period - 'day' or 'month'
+ * @param {string|Date} options.since - Earliest call to include
+ * @returns {Promise<Array<{period: string, task: string, calls: number, failedCalls: number, inputTokens: number, outputTokens: number, retries: number, costUsd: number}>>}
+ */
+export async function getLlmUsageTotals({ period, since }) {
+  const format = period === 'month' ? 'YYYY-MM' : 'YYYY-MM-DD';
+  try {
+    const result = await getPool().query(
+      `SELECT to_char(created_at AT TIME ZONE 'UTC', $1) AS period, task, COUNT(*) AS calls,
+              COUNT(*) FILTER (WHERE status <> 'ok') AS failed_calls,
+              COALESCE(SUM(input_tokens), 0) AS input_tokens, COALESCE(SUM(output_tokens), 0) AS output_tokens,
+              COALESCE(SUM(retries), 0) AS retries, COALESCE(SUM(cost_usd), 0) AS cost_usd
+       FROM llm_usage WHERE created_at >= $2
+       GROUP BY 1, 2 ORDER BY 1 DESC, 2`,
+      [format, new Date(since).toISOString()]
+    );
+    return result.rows.map(row => ({
+      period: row.period,
+      task: row.task,
+      calls: parseInt(row.calls, 10),
+      failedCalls: parseInt(row.failed_calls, 10),
+      inputTokens: parseInt(row.input_tokens, 10),
+      outputTokens: parseInt(row.output_tokens, 10),
+      retries: parseInt(row.retries, 10),
+      costUsd: Number(row.cost_usd)
+    }));
+  } catch (error) {
+    console.error('[DB] Error getting LLM usage:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Store competitive signals, skipping any already stored (same competitor
+ * and signal hash)
+ * @param {Array<Object>} signals - { competitorSlug, competitorName, signal, implication, url, articles, digestDate, profile, runId, signalHash }
+ * @returns {Promise<number>} Signals newly stored
+ */
+export async function saveCompetitorSignals(signals) {
+  let saved = 0;
+  try {
+    for (const entry of signals) {
+      const result = await getPool().query(
+        `INSERT INTO competitor_signals (competitor_slug, competitor_name, signal, implication, url, articles, digest_date, profile, run_id, signal_hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (competitor_slug, signal_hash) DO NOTHING`,
+        [entry.competitorSlug, entry.competitorName, entry.signal, entry.implication || null, entry.url || null,
+          JSON.stringify(entry.articles || []), entry.digestDate, entry.profile || null, entry.runId || null, entry.signalHash]
+      );
+      saved += result.rowCount;
+    }
+  } catch (error) {
+    console.error('[DB] Error saving competitor signals:', error.message);
+  }
+  return saved;
+}
+
+/**
+ * Signal counts per competitor, optionally within a range of digest dates
+ * @param {Object} [range]
+ * @param {string} [range.from] - First digest date (YYYY-MM-DD, inclusive)
+ * @param {string} [range.to] - Last digest date (YYYY-MM-DD, exclusive)
+ * @returns {Promise<Array<{slug: string, latestName: string, signalCount: number, firstDate: string, lastDate: string}>>}
+ */
+export async function getCompetitorSignalCounts({ from = null, to = null } = {}) {
+  try {
+    const result = await getPool().query(
+      `SELECT competitor_slug, COUNT(*) AS signal_count,
+              to_char(MIN(digest_date), 'YYYY-MM-DD') AS first_date, to_char(MAX(digest_date), 'YYYY-MM-DD') AS last_date,
+              (array_agg(competitor_name ORDER BY digest_date DESC, id DESC))[1] AS latest_name
+       FROM competitor_signals
+       WHERE ($1::date IS NULL OR digest_date >= $1) AND ($2::date IS NULL OR digest_date < $2)
+       GROUP BY competitor_slug ORDER BY MAX(digest_date) DESC, competitor_slug`,
+      [from, to]
+    );
+    return result.rows.map(row => ({
+      slug: row.competitor_slug,
+      latestName: row.latest_name,
+      signalCount: parseInt(row.signal_count, 10),
+      firstDate: row.first_date,
+      lastDate: row.last_date
+    }));
+  } catch (error) {
+    console.error('[DB] Error getting competitor signal counts:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * One competitor's signals, newest digest first
+ * @param {string} slug - Competitor slug
+ * @param {Object} [range] - { from, to } digest dates as for getCompetitorSignalCounts
+ */
+export async function getCompetitorSignals(slug, { from = null, to = null } = {}) {
+  try {
+    const result = await getPool().query(
+      `SELECT *, to_char(digest_date, 'YYYY-MM-DD') AS digest_day FROM competitor_signals
+       WHERE competitor_slug = $1 AND ($2::date IS NULL OR digest_date >= $2) AND ($3::date IS NULL OR digest_date < $3)
+       ORDER BY digest_date DESC, id DESC`,
+      [slug, from, to]
+    );
+    return result.rows.map(row => ({
+      id: row.id,
+      competitorSlug: row.competitor_slug,
+      competitorName: row.competitor_name,
+      signal: row.signal,
+      implication: row.implication,
+      url: row.url,
+      articles: row.articles || [],
+      digestDate: row.digest_day,
+      profile: row.profile,
+      runId: row.run_id,
+      createdAt: row.created_at
+    }));
+  } catch (error) {
+    console.error('[DB] Error getting competitor signals:', error.message);
+    throw error;
+  }
+}
 
 export default {
   saveArticle,
+  getArticlesByLinks,
   getArticles,
+  getArticlesPage,
+  iterateArticles,
   getArticleById,
+  getArticleRevisions,
+  getEnrichmentsByHash,
+  saveArticleEnrichment,
+  recordExtractionAttempts,
+  searchArticles,
+  markArticlesDigested,
+  getUnclusteredArticles,
+  getStorySignatures,
+  assignArticleToStory,
+  refreshStories,
+  getStoryMembers,
   getSources,
-  cleanOldArticles
+  archiveExpiredArticles,
+  getFeedCache,
+  recordSourceFetch,
+  getSourceHealth,
+  startRun,
+  finishRun,
+  getRecentRuns,
+  recordLlmUsage,
+  getLlmUsageTotals,
+  saveCompetitorSignals,
+  getCompetitorSignalCounts,
+  getCompetitorSignals
 };
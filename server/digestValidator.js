@@ -0,0 +1,171 @@
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+
+/**
+ * Digest schema: the item fields each section requires (all non-empty
+ * strings), plus optional ones. Items may carry other fields; they're kept.
+ */
+export const DIGEST_SECTIONS = {
+  top_insights: { required: ['headline', 'explanation', 'connection', 'source', 'url'], optional: [] },
+  competitive_signals: { required: ['competitor', 'signal', 'implication'], optional: ['url'] },
+  worth_reading: { required: ['title', 'reason', 'url'], optional: [] }
+};
+
+// Share of a title's words an unmatched item must share with one article for its URL to be repaired
+const REPAIR_MIN_OVERLAP = 0.6;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isHttpUrl(value) {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Field errors for one section item
+ */
+function validateItem(section, item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return ['must be an object'];
+
+  const { required, optional } = DIGEST_SECTIONS[section];
+  const errors = [];
+  for (const field of required) {
+    if (!isNonEmptyString(item[field])) errors.push(`${field}: required, must be a non-empty string`);
+  }
+  for (const field of optional) {
+    if (item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string') errors.push(`${field}: must be a string`);
+  }
+  if (isNonEmptyString(item.url) && !isHttpUrl(item.url)) errors.push('url: must be an http(s) URL');
+  return errors;
+}
+
+/**
+ * Check a parsed digest against the schema
+ * @param {*} digest - Parsed model output
+ * @returns {Array<string>} Errors as "path: problem" (empty when valid)
+ */
+export function validateDigest(digest) {
+  if (!digest || typeof digest !== 'object' || Array.isArray(digest)) return ['digest: must be a JSON object'];
+
+  const errors = [];
+  if (digest.nothing_notable !== undefined && typeof digest.nothing_notable !== 'boolean') {
+    errors.push('nothing_notable: must be true or false');
+  }
+  if (digest.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(digest.date))) {
+    errors.push('date: must be YYYY-MM-DD');
+  }
+
+  for (const section of Object.keys(DIGEST_SECTIONS)) {
+    if (!Array.isArray(digest[section])) {
+      errors.push(`${section}: required, must be an array`);
+      continue;
+    }
+    digest[section].forEach((item, index) => {
+      for (const error of validateItem(section, item)) errors.push(`${section}[${index}].${error}`);
+    });
+  }
+  return errors;
+}
+
+function titleWords(text) {
+  return new Set((text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(word => word.length > 3));
+}
+
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * The one article an item most plausibly refers to, by title (worth_reading)
+ * or headline within the named source (insights). Null unless exactly one
+ * article clears the overlap threshold.
+ */
+function findRepairMatch(section, item, articles) {
+  const text = section === 'worth_reading' ? item.title : item.headline;
+  const words = titleWords(text);
+  const pool = section === 'top_insights' && item.source
+    ? articles.filter(article => article.source === item.source || (article.coverageSources || []).includes(item.source))
+    : articles;
+
+  const matches = pool.filter(article => overlap(words, titleWords(article.title)) >= REPAIR_MIN_OVERLAP);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Bring a parsed digest in line with the schema, the input articles and the
+ * profile's section limits. Sections that aren't arrays become empty, invalid
+ * items are dropped, URLs not among the input articles (or their coverage)
+ * are repaired by title when one article clearly matches and dropped
+ * otherwise, and sections are trimmed to their maximum. The digest is
+ * changed in place.
+ * @param {Object} digest - Parsed model output
+ * @param {Array} articles - Stories the digest was generated from
+ * @param {Object} sections - Profile section rules ({ topInsights: { max }, ... })
+ * @returns {Array<Object>} Corrections: { section, index, action, field, from, to, reason }
+ */
+export function repairDigest(digest, articles, sections) {
+  const corrections = [];
+  const known = new Map();
+  for (const article of articles) {
+    known.set(canonicalizeUrl(article.link), article);
+    for (const covered of article.coverage || []) known.set(canonicalizeUrl(covered.link), article);
+  }
+
+  const limits = {
+    top_insights: sections.topInsights.max,
+    competitive_signals: sections.competitiveSignals.max,
+    worth_reading: sections.worthReading.max
+  };
+
+  for (const section of Object.keys(DIGEST_SECTIONS)) {
+    if (!Array.isArray(digest[section])) {
+      if (digest[section] !== undefined) {
+        corrections.push({ section, action: 'coerced', reason: `${section} was not an array` });
+      }
+      digest[section] = [];
+      continue;
+    }
+
+    const kept = [];
+    digest[section].forEach((item, index) => {
+      const errors = validateItem(section, item);
+      if (errors.length > 0) {
+        corrections.push({ section, index, action: 'dropped', reason: `invalid item: ${errors.join('; ')}` });
+        return;
+      }
+
+      if (isNonEmptyString(item.url) && !known.has(canonicalizeUrl(item.url))) {
+        const match = section === 'competitive_signals' ? null : findRepairMatch(section, item, articles);
+        if (match) {
+          corrections.push({ section, index, action: 'repaired', field: 'url', from: item.url, to: match.link, reason: 'URL not among the input articles; matched by title' });
+          item.url = match.link;
+        } else if (section === 'competitive_signals') {
+          corrections.push({ section, index, action: 'repaired', field: 'url', from: item.url, to: null, reason: 'URL not among the input articles; removed' });
+          delete item.url;
+        } else {
+          corrections.push({ section, index, action: 'dropped', field: 'url', from: item.url, reason: 'URL not among the input articles and no article matches its title' });
+          return;
+        }
+      }
+      kept.push(item);
+    });
+
+    if (kept.length > limits[section]) {
+      for (const [offset, item] of kept.slice(limits[section]).entries()) {
+        corrections.push({ section, index: limits[section] + offset, action: 'dropped', from: item.url || null, reason: `over the section limit of ${limits[section]}` });
+      }
+    }
+    digest[section] = kept.slice(0, limits[section]);
+  }
+
+  if (typeof digest.nothing_notable !== 'boolean') digest.nothing_notable = Boolean(digest.nothing_notable);
+  return corrections;
+}
@@ -7,6 +7,41 @@ function getResend() {
 }
 const FROM_ADDRESS = 'onboarding@resend.dev';
 const APP_URL = process.env.APP_URL || 'https://mortgage-intel-hub.replit.app';
+const LOCK_ICON = '&#128274;';
+
+/**
+ * "covered by 3 outlets" note for stories more than one source ran
+ */
+function coverageNote(item) {
+  if (!item.coverage_count || item.coverage_count < 2) return '';
+  const title = item.coverage_sources ? ` title="${escapeHtml(item.coverage_sources.join(', '))}"` : '';
+  return ` <span style="font-size:12px;color:#888;"${title}>&middot; covered by ${item.coverage_count} outlets</span>`;
+}
+
+/**
+ * "Trending" section from the weekly trend report: rising topics, companies
+ * and terms with a sample article each, then the ones cooling off
+ */
+function buildTrendingSection(trending) {
+  const rising = (trending.rising || []).map(trend => {
+    const sample = trend.samples?.[0];
+    const usual = trend.emerging ? 'new this week' : `usually ~${trend.baselineWeekly}/week`;
+    return `
+        <li style="margin-bottom:8px;">
+          <strong>${escapeHtml(trend.label)}</strong> <span style="font-size:12px;color:#888;">${escapeHtml(trend.kind)}</span>
+          &mdash; ${trend.count} articles (${usual})${sample ? `<br><a href="${escapeHtml(sample.link)}" style="color:#2563eb;font-size:13px;text-decoration:none;">${escapeHtml(sample.title)}</a>` : ''}
+        </li>`;
+  }).join('');
+  const falling = (trending.falling || []).map(trend => escapeHtml(trend.label)).join(', ');
+
+  return `
+    <div style="margin-bottom:28px;">
+      <h2 style="font-size:16px;color:#333;margin:0 0 16px;">&#128200; TRENDING</h2>
+      ${rising ? `<ul style="margin:0;padding:0 0 0 20px;color:#333;font-size:14px;line-height:1.5;">${rising}
+      </ul>` : ''}
+      ${falling ? `<p style="font-size:13px;color:#666;margin:8px 0 0;">Cooling off: ${falling}</p>` : ''}
+    </div>`;
+}
 
 /**
  * Build the HTML email body for a daily digest
@@ -22,8 +57,10 @@ export function buildDigestHtml(digestData, weeklyBullets = null) {
     day: 'numeric',
   });
 
-  // Nothing notable — short email (but still include weekly summary on Fridays)
-  if (digestData.nothing_notable && !(weeklyBullets && weeklyBullets.length > 0)) {
+  const hasTrending = Boolean(digestData.trending && (digestData.trending.rising?.length > 0 || digestData.trending.falling?.length > 0));
+
+  // Nothing notable — short email (but still include the weekly summary and trends on Fridays)
+  if (digestData.nothing_notable && !(weeklyBullets && weeklyBullets.length > 0) && !hasTrending) {
     return `
 <!DOCTYPE html>
 <html>
@@ -57,6 +94,11 @@ export function buildDigestHtml(digestData, weeklyBullets = null) {
     </div>`;
   }
 
+  // Trending topics against the trailing baseline (Fridays)
+  if (hasTrending) {
+    sections += buildTrendingSection(digestData.trending);
+  }
+
   // Top 3 Insights
   if (digestData.top_insights && digestData.top_insights.length > 0) {
     const insightItems = digestData.top_insights.map(insight => {
@@ -69,7 +111,7 @@ export function buildDigestHtml(digestData, weeklyBullets = null) {
         <p style="font-size:14px;color:#444;line-height:1.6;margin:0 0 6px;">${escapeHtml(insight.explanation)}</p>
         <p style="font-size:13px;color:#666;line-height:1.5;margin:0 0 4px;"><em>${escapeHtml(insight.connection)}</em></p>
         <p style="font-size:12px;color:#888;margin:0;">
-          Source: ${escapeHtml(insight.source)}${readUrl ? ` &mdash; <a href="${escapeHtml(readUrl)}" style="color:#2563eb;">Read</a>` : ''}
+          Source: ${escapeHtml(insight.source)}${coverageNote(insight)}${readUrl ? ` &mdash; <a href="${escapeHtml(readUrl)}" style="color:#2563eb;">Read</a>${insight.paywalled ? ` <span title="Subscription required">${LOCK_ICON}</span>` : ''}` : ''}
         </p>
       </div>`;
     }).join('');
@@ -106,8 +148,8 @@ export function buildDigestHtml(digestData, weeklyBullets = null) {
         : item.url;
       return `
       <li style="margin-bottom:10px;">
-        <a href="${escapeHtml(readUrl)}" style="color:#2563eb;font-size:14px;text-decoration:none;font-weight:500;">${escapeHtml(item.title)}</a>
-        <br><span style="font-size:13px;color:#666;">${escapeHtml(item.reason)}</span>
+        <a href="${escapeHtml(readUrl)}" style="color:#2563eb;font-size:14px;text-decoration:none;font-weight:500;">${escapeHtml(item.title)}</a>${item.paywalled ? ` <span title="Subscription required">${LOCK_ICON}</span>` : ''}
+        <br><span style="font-size:13px;color:#666;">${escapeHtml(item.reason)}</span>${coverageNote(item)}
       </li>`;
     }).join('');
 
@@ -156,12 +198,14 @@ function escapeHtml(str) {
  * Send the digest email via Resend
  * @param {Object} digestData - The digest object
  * @param {Array|null} weeklyBullets - Optional weekly summary (Fridays)
+ * @param {Object} options
+ * @param {string|Array<string>} [options.to] - Recipients (default: DIGEST_EMAIL)
+ * @param {string} [options.label] - Appended to the subject, e.g. the analyst profile name
  * @returns {Promise<{status: string, id?: string, error?: any}>}
  */
-export async function sendDigestEmail(digestData, weeklyBullets = null) {
-  const to = process.env.DIGEST_EMAIL;
-  if (!to) {
-    console.error('[Email] DIGEST_EMAIL not set, skipping send');
+export async function sendDigestEmail(digestData, weeklyBullets = null, { to = process.env.DIGEST_EMAIL, label = null } = {}) {
+  if (!to || to.length === 0) {
+    console.error('[Email] No recipients (DIGEST_EMAIL not set), skipping send');
     return { status: 'failed', error: 'DIGEST_EMAIL not configured' };
   }
 
@@ -177,9 +221,9 @@ export async function sendDigestEmail(digestData, weeklyBullets = null) {
     day: 'numeric',
   });
 
-  const subject = weeklyBullets
+  const subject = (weeklyBullets
     ? `Weekly Review + Signal \u2014 ${dateStr}`
-    : `Signal \u2014 ${dateStr}`;
+    : `Signal \u2014 ${dateStr}`) + (label ? ` \u00b7 ${label}` : '');
 
   const html = buildDigestHtml(digestData, weeklyBullets);
 
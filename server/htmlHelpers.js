@@ -0,0 +1,32 @@
+/**
+ * Resolve relative link and image URLs under $root against the page they came
+ * from, in place, so a reader page can load them. Unparseable URLs are left as-is.
+ * @param {Function} $ - Cheerio document $root belongs to
+ * @param {Object} $root - Element whose links and images to resolve
+ * @param {string} pageUrl - URL the HTML was fetched from
+ */
+export function absolutizeUrls($, $root, pageUrl) {
+  for (const [selector, attribute] of [['a[href]', 'href'], ['img[src]', 'src']]) {
+    $root.find(selector).each((i, el) => {
+      try { $(el).attr(attribute, new URL($(el).attr(attribute), pageUrl).toString()); } catch { /* leave as-is */ }
+    });
+  }
+}
+
+/**
+ * Every JSON-LD node on a page, with @graph containers flattened, in page order
+ * @param {Function} $ - Cheerio document
+ * @returns {Array<Object>}
+ */
+export function readJsonLdNodes($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      nodes.push(...[].concat(data['@graph'] || data).filter(Boolean));
+    } catch {
+      // Malformed JSON-LD is common; ignore it
+    }
+  });
+  return nodes;
+}
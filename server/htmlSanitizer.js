@@ -0,0 +1,21 @@
+import sanitizeHtml from 'sanitize-html';
+
+/**
+ * Sanitize article HTML content for safe reader rendering
+ * Shared by RSS ingestion and scraped press-release pages.
+ */
+export function sanitizeArticleHtml(html) {
+  return sanitizeHtml(html, {
+    allowedTags: [
+      'p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a',
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+      'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+      'img', 'figure', 'figcaption', 'div', 'span', 'hr'
+    ],
+    allowedAttributes: {
+      'a': ['href', 'title'],
+      'img': ['src', 'alt', 'width', 'height'],
+    },
+    allowedSchemes: ['http', 'https'],
+  });
+}
@@ -0,0 +1,295 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CRAWLER_CONFIG_PATH = process.env.CRAWLER_CONFIG_PATH || path.join(__dirname, 'crawler.json');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const ROBOTS_TIMEOUT_MS = 10000;
+const ROBOTS_RETRY_MS = 60 * 60 * 1000;
+const MAX_CRAWL_DELAY_MS = 30000;
+
+const DEFAULT_CONFIG = {
+  userAgent: 'MortgageIntelBot/1.0',
+  contact: null,
+  robotsCacheHours: 24,
+  defaults: { minIntervalMs: 1000, concurrency: 2 },
+  domains: {}
+};
+
+let config = null;
+const robotsCache = new Map();
+const hostStates = new Map();
+let crawlRun = { startedAt: new Date().toISOString(), skipped: [] };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Load crawler.json once per process; CRAWLER_USER_AGENT / CRAWLER_CONTACT override it
+ */
+function getConfig() {
+  if (config) return config;
+
+  let fileConfig = {};
+  try {
+    fileConfig = JSON.parse(readFileSync(CRAWLER_CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    console.error(`[HTTP] Could not read ${CRAWLER_CONFIG_PATH}, using defaults:`, error.message);
+  }
+
+  config = {
+    ...DEFAULT_CONFIG,
+    ...fileConfig,
+    defaults: { ...DEFAULT_CONFIG.defaults, ...fileConfig.defaults },
+    domains: fileConfig.domains || {}
+  };
+  if (process.env.CRAWLER_USER_AGENT) config.userAgent = process.env.CRAWLER_USER_AGENT;
+  if (process.env.CRAWLER_CONTACT) config.contact = process.env.CRAWLER_CONTACT;
+  return config;
+}
+
+/**
+ * The User-Agent sent with every outbound request
+ */
+export function getUserAgent() {
+  const { userAgent, contact } = getConfig();
+  return `Mozilla/5.0 (compatible; ${userAgent}${contact ? `; +${contact}` : ''})`;
+}
+
+/**
+ * Product token robots.txt groups are matched against ("mortgageintelbot")
+ */
+function productToken() {
+  return getConfig().userAgent.split('/')[0].trim().toLowerCase();
+}
+
+function hostKey(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Parse robots.txt into user-agent groups of allow/disallow rules
+ * @param {string} text - robots.txt body
+ * @returns {Array<{agents: Array<string>, rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>}
+ */
+export function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+function patternMatches(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(target);
+}
+
+/**
+ * Decide whether a URL path may be fetched under parsed robots.txt rules.
+ * Groups naming our product token win over "*"; within the chosen rules the
+ * longest matching pattern decides, and Allow wins a tie.
+ * @param {Array} groups - Output of parseRobots
+ * @param {string} pathAndQuery - URL path plus query string
+ * @param {string} [token] - Product token to match groups against
+ * @returns {{allowed: boolean, rule: string|null, crawlDelay: number|null}}
+ */
+export function robotsAllows(groups, pathAndQuery, token = productToken()) {
+  let matching = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  if (matching.length === 0) matching = groups.filter(group => group.agents.includes('*'));
+
+  let best = null;
+  for (const rule of matching.flatMap(group => group.rules)) {
+    if (!patternMatches(rule.path, pathAndQuery)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    allowed: !best || best.allow,
+    rule: best ? `${best.allow ? 'Allow' : 'Disallow'}: ${best.path}` : null,
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Fetch (or reuse) robots.txt for an origin.
+ * 4xx means no restrictions; 5xx or an unreachable server means stay out until
+ * the next retry, per RFC 9309.
+ */
+async function getRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) return cached.entry;
+
+  const load = (async () => {
+    const ttl = getConfig().robotsCacheHours * 60 * 60 * 1000;
+    try {
+      const response = await fetch(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': getUserAgent(), 'Accept': 'text/plain' },
+        signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS),
+      });
+
+      if (response.ok) {
+        return { entry: { groups: parseRobots(await response.text()), unreachable: null }, ttl };
+      }
+      if (response.status < 500) {
+        return { entry: { groups: [], unreachable: null }, ttl };
+      }
+      return { entry: { groups: [], unreachable: `robots.txt returned HTTP ${response.status}` }, ttl: ROBOTS_RETRY_MS };
+    } catch (error) {
+      return { entry: { groups: [], unreachable: `robots.txt unreachable (${error.message})` }, ttl: ROBOTS_RETRY_MS };
+    }
+  })();
+
+  // Concurrent requests to the same origin share one robots.txt fetch
+  const pending = load.then(({ entry }) => entry);
+  robotsCache.set(origin, { entry: pending, expiresAt: Infinity });
+  const { entry, ttl } = await load;
+  robotsCache.set(origin, { entry: Promise.resolve(entry), expiresAt: Date.now() + ttl });
+  return entry;
+}
+
+/**
+ * Check a URL against its site's robots.txt
+ * @param {string} url - URL to check
+ * @returns {Promise<{allowed: boolean, reason: string|null, crawlDelayMs: number|null}>}
+ */
+export async function checkRobots(url) {
+  const target = new URL(url);
+  if (target.pathname === '/robots.txt') return { allowed: true, reason: null, crawlDelayMs: null };
+
+  const robots = await getRobots(target.origin);
+  if (robots.unreachable) return { allowed: false, reason: robots.unreachable, crawlDelayMs: null };
+
+  const verdict = robotsAllows(robots.groups, target.pathname + target.search);
+  return {
+    allowed: verdict.allowed,
+    reason: verdict.allowed ? null : `disallowed by robots.txt (${verdict.rule})`,
+    crawlDelayMs: verdict.crawlDelay !== null ? Math.min(verdict.crawlDelay * 1000, MAX_CRAWL_DELAY_MS) : null
+  };
+}
+
+/**
+ * Politeness limits for a host: crawler.json defaults, any per-domain override,
+ * and the site's Crawl-delay when it asks for more spacing than we'd use anyway
+ */
+function limitsFor(host, crawlDelayMs) {
+  const { defaults, domains } = getConfig();
+  const domain = Object.keys(domains).find(d => host === d || host.endsWith(`.${d}`));
+  const limits = { ...defaults, ...(domain ? domains[domain] : {}) };
+  if (crawlDelayMs) limits.minIntervalMs = Math.max(limits.minIntervalMs, crawlDelayMs);
+  return limits;
+}
+
+/**
+ * Wait for a request slot on a host: at most `concurrency` requests in flight,
+ * and request starts spaced at least `minIntervalMs` apart
+ */
+async function acquireSlot(host, limits) {
+  if (!hostStates.has(host)) hostStates.set(host, { active: 0, waiters: [], nextStart: 0 });
+  const state = hostStates.get(host);
+
+  while (state.active >= limits.concurrency) {
+    await new Promise(resolve => state.waiters.push(resolve));
+  }
+  state.active++;
+
+  const now = Date.now();
+  const wait = state.nextStart - now;
+  state.nextStart = Math.max(now, state.nextStart) + limits.minIntervalMs;
+  if (wait > 0) await sleep(wait);
+
+  return state;
+}
+
+function releaseSlot(state) {
+  state.active--;
+  const next = state.waiters.shift();
+  if (next) next();
+}
+
+function recordSkip(url, reason) {
+  crawlRun.skipped.push({ url, reason, at: new Date().toISOString() });
+  console.log(`[HTTP] Skipped ${url}: ${reason}`);
+}
+
+/**
+ * Fetch a URL as a well-behaved crawler: identifying User-Agent, robots.txt
+ * check, and per-host spacing and concurrency limits. URLs robots.txt rules
+ * out are logged for the current run and rejected with an error whose
+ * `skipped` flag is set, so callers can tell them apart from network failures.
+ * The timeout starts once the request leaves the per-host queue.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options, plus timeoutMs
+ * @returns {Promise<Response>}
+ */
+export async function politeFetch(url, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, ...options } = {}) {
+  const verdict = await checkRobots(url);
+  if (!verdict.allowed) {
+    recordSkip(url, verdict.reason);
+    throw Object.assign(new Error(`Skipped: ${verdict.reason}`), { skipped: true, reason: verdict.reason });
+  }
+
+  const host = hostKey(new URL(url).hostname);
+  const state = await acquireSlot(host, limitsFor(host, verdict.crawlDelayMs));
+  try {
+    return await fetch(url, {
+      ...options,
+      headers: { ...headers, 'User-Agent': getUserAgent() },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } finally {
+    releaseSlot(state);
+  }
+}
+
+/**
+ * Start a new crawl run, clearing the skipped-URL log
+ */
+export function beginCrawlRun() {
+  crawlRun = { startedAt: new Date().toISOString(), skipped: [] };
+}
+
+/**
+ * URLs skipped since the current crawl run began
+ * @returns {{startedAt: string, skipped: Array<{url: string, reason: string, at: string}>}}
+ */
+export function getCrawlRunReport() {
+  return { startedAt: crawlRun.startedAt, skipped: [...crawlRun.skipped] };
+}
@@ -1,13 +1,50 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import { initScheduler, digestState, runDailyDigest } from './scheduler.js';
-import { getArticleById } from './db.js';
+import { getArticleById, getArticleRevisions, searchArticles, getRecentRuns, initStorage, getStorageDriver } from './storage.js';
+import { getLlmProvider, getUsageReport } from './llm.js';
+import { computeTrends } from './trendEngine.js';
+import { importArchivedSignals, listCompetitors, getCompetitorDossier, quarterOf, quarterRange, shiftQuarter } from './competitorIntel.js';
+import { getSourceHealthReport, testSource, backfillSource } from './rssFetcher.js';
+import { listSources, getSource, addSource, updateSource, removeSource } from './sourceRegistry.js';
+import { listProfiles, getProfile } from './profileRegistry.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+app.use(express.json());
+
+/**
+ * Admin routes share the CRON_SECRET token (query string or Bearer header)
+ */
+function requireSecret(req, res, next) {
+  const header = req.get('authorization') || '';
+  const token = req.query.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+  if (!process.env.CRON_SECRET || token !== process.env.CRON_SECRET) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  next();
+}
+
+/**
+ * Send a source or profile registry error with its status and validation details
+ */
+function sendRegistryError(res, error) {
+  const status = error.status || 500;
+  if (status >= 500) console.error('[API] Registry error:', error.message);
+  res.status(status).json({ error: error.message, details: error.details || [] });
+}
+
+/**
+ * Log an unexpected failure (storage down, a bad query) and answer 500
+ */
+function sendServerError(res, route, error) {
+  console.error(`[API] ${route} failed:`, error.message);
+  res.status(500).json({ error: `${route} failed: ${error.message}` });
+}
+
 app.get('/', (req, res) => res.redirect('/health'));
 
 app.get('/run-digest', (req, res) => {
@@ -39,10 +76,181 @@ app.get('/run-digest', (req, res) => {
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
+    storage: getStorageDriver(),
+    llm: getLlmProvider(),
     ...digestState
   });
 });
 
+app.get('/runs', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    res.json({ runs: await getRecentRuns(limit) });
+  } catch (error) {
+    sendServerError(res, 'Runs', error);
+  }
+});
+
+app.get('/usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+    const months = Math.min(Math.max(parseInt(req.query.months, 10) || 12, 1), 60);
+    res.json(await getUsageReport({ days, months }));
+  } catch (error) {
+    sendServerError(res, 'Usage', error);
+  }
+});
+
+// ?category=a,b limits to categories; ?asOf=YYYY-MM-DD ends the measured week on that date
+app.get('/trends', async (req, res) => {
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+  if (isNaN(asOf)) return res.status(400).json({ error: 'asOf must be a date' });
+  const baselineWeeks = Math.min(Math.max(parseInt(req.query.baselineWeeks, 10) || 8, 1), 12);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const categories = req.query.category ? String(req.query.category).split(',').map(c => c.trim()).filter(Boolean) : null;
+  try {
+    res.json(await computeTrends({ asOf, baselineWeeks, categories, limit }));
+  } catch (error) {
+    sendServerError(res, 'Trends', error);
+  }
+});
+
+app.get('/sources/health', async (req, res) => {
+  try {
+    const quietDays = parseInt(req.query.quietDays, 10);
+    const report = await getSourceHealthReport(quietDays > 0 ? { quietDays } : {});
+    res.json(report);
+  } catch (error) {
+    sendServerError(res, 'Source health', error);
+  }
+});
+
+app.get('/sources', async (req, res) => {
+  try {
+    res.json(await listSources());
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+app.post('/sources', requireSecret, async (req, res) => {
+  try {
+    res.status(201).json(await addSource(req.body));
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+// Dry-run an unsaved source definition
+app.post('/sources/test', requireSecret, async (req, res) => {
+  try {
+    res.json(await testSource(req.body));
+  } catch (error) {
+    if (error.status) return sendRegistryError(res, error);
+    res.status(502).json({ error: `Feed fetch failed: ${error.message}` });
+  }
+});
+
+app.get('/sources/:name', async (req, res) => {
+  try {
+    const source = await getSource(req.params.name);
+    if (!source) return res.status(404).json({ error: `Source "${req.params.name}" not found` });
+    res.json(source);
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+app.patch('/sources/:name', requireSecret, async (req, res) => {
+  try {
+    res.json(await updateSource(req.params.name, req.body || {}));
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+app.delete('/sources/:name', requireSecret, async (req, res) => {
+  try {
+    res.json(await removeSource(req.params.name));
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+// Dry-run a configured source, optionally with unsaved overrides from the body
+app.post('/sources/:name/test', requireSecret, async (req, res) => {
+  try {
+    const source = await getSource(req.params.name);
+    if (!source) return res.status(404).json({ error: `Source "${req.params.name}" not found` });
+    res.json(await testSource({ ...source, ...(req.body || {}) }));
+  } catch (error) {
+    if (error.status) return sendRegistryError(res, error);
+    res.status(502).json({ error: `Feed fetch failed: ${error.message}` });
+  }
+});
+
+app.post('/sources/:name/backfill', requireSecret, async (req, res) => {
+  const { since, until, maxPages, delayMs } = req.body || {};
+  const sinceDate = new Date(since);
+  // A bare YYYY-MM-DD until covers that whole day
+  const untilDate = until ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(until) ? `${until}T23:59:59.999Z` : until) : new Date();
+  if (!since || isNaN(sinceDate.getTime()) || isNaN(untilDate.getTime()) || sinceDate > untilDate) {
+    return res.status(400).json({ error: 'since (and optional until) must be valid dates with since <= until' });
+  }
+
+  try {
+    res.json(await backfillSource(req.params.name, {
+      since: sinceDate,
+      until: untilDate,
+      maxPages: parseInt(maxPages, 10) > 0 ? parseInt(maxPages, 10) : undefined,
+      delayMs: parseInt(delayMs, 10) >= 0 ? parseInt(delayMs, 10) : undefined
+    }));
+  } catch (error) {
+    if (error.status && error.status < 500) return sendRegistryError(res, error);
+    res.status(502).json({ error: `Backfill failed: ${error.message}` });
+  }
+});
+
+// Profiles carry recipient addresses, so reading them needs the secret too
+app.get('/profiles', requireSecret, async (req, res) => {
+  try {
+    res.json(await listProfiles());
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+app.get('/profiles/:id', requireSecret, async (req, res) => {
+  try {
+    const profile = await getProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: `Profile "${req.params.id}" not found` });
+    res.json(profile);
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+app.get('/search', async (req, res) => {
+  // Repeated parameters (?q=a&q=b) arrive as arrays
+  const { q: rawQuery = '', source, category, from, to, limit, offset } = req.query;
+  if ([rawQuery, source, category, from, to, limit, offset].some(value => value !== undefined && typeof value !== 'string')) {
+    return res.status(400).json({ error: 'each query parameter may be given once' });
+  }
+  const q = rawQuery.trim();
+  if (!q) return res.status(400).json({ error: 'q is required' });
+
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+
+  try {
+    const { total, results } = await searchArticles(q, { source, category, startDate: from, endDate: to, limit, offset });
+    res.json({ query: q, total, count: results.length, results });
+  } catch (error) {
+    sendServerError(res, 'Search', error);
+  }
+});
+
 function escapeHtml(str) {
   if (!str) return '';
   return String(str)
@@ -52,6 +260,55 @@ function escapeHtml(str) {
     .replace(/"/g, '&quot;');
 }
 
+// Revised fields worth telling a reader about; extraction and paywall bookkeeping is left out
+const REVISION_LABELS = {
+  title: 'Headline',
+  dateline: 'Dateline',
+  pubDate: 'Publish date',
+  summary: 'Summary',
+  originalContent: 'Body'
+};
+const LONG_TEXT_FIELDS = new Set(['summary', 'originalContent']);
+
+function formatRevisionDate(value) {
+  return new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * One line per revised field: old and new values for short fields, sizes for body text
+ */
+function describeRevision(changes) {
+  return Object.keys(REVISION_LABELS)
+    .filter(field => changes[field])
+    .map(field => {
+      const { from, to } = changes[field];
+      const label = REVISION_LABELS[field];
+      if (LONG_TEXT_FIELDS.has(field)) {
+        return `${label} revised (${(from || '').length.toLocaleString()} &rarr; ${(to || '').length.toLocaleString()} characters)`;
+      }
+      const show = (value) => escapeHtml(field === 'pubDate' && value ? formatRevisionDate(value) : value) || '<em>none</em>';
+      return `${label}: <del>${show(from)}</del> &rarr; <ins>${show(to)}</ins>`;
+    });
+}
+
+/**
+ * "Updated since first seen" note listing each revision the source made
+ */
+function renderRevisionHistory(revisions) {
+  const entries = revisions
+    .map(revision => ({ revisedAt: revision.revisedAt, lines: describeRevision(revision.changes || {}) }))
+    .filter(entry => entry.lines.length > 0);
+  if (entries.length === 0) return '';
+
+  const items = entries
+    .map(entry => `<li><time>${escapeHtml(formatRevisionDate(entry.revisedAt))}</time><br>${entry.lines.join('<br>')}</li>`)
+    .join('');
+  return `<details class="revisions">
+      <summary>Updated since first seen &mdash; ${entries.length} revision${entries.length === 1 ? '' : 's'}, last ${escapeHtml(formatRevisionDate(entries[entries.length - 1].revisedAt))}</summary>
+      <ol>${items}</ol>
+    </details>`;
+}
+
 app.get('/read/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).send('Invalid article ID');
@@ -59,10 +316,15 @@ app.get('/read/:id', async (req, res) => {
   const article = await getArticleById(id);
   if (!article) return res.status(404).send('Article not found');
 
+  // Paywalled items only have a teaser; send readers to the source instead of an empty page
+  if (article.paywalled && !article.hasFullContent) return res.redirect(article.link);
+
   const dateStr = article.pubDate
     ? new Date(article.pubDate).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
     : '';
 
+  const revisionHistory = renderRevisionHistory(await getArticleRevisions(article.id));
+
   const bodyContent = article.contentHtml
     || `<p>${escapeHtml(article.originalContent || article.summary || '')}</p>`;
 
@@ -89,6 +351,12 @@ app.get('/read/:id', async (req, res) => {
     .body blockquote { border-left: 3px solid #e5e5e5; padding-left: 16px; color: #64748b; margin: 16px 0; }
     .footer { max-width: 680px; margin: 0 auto; padding: 24px; border-top: 1px solid #e5e5e5; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 13px; color: #94a3b8; text-align: center; }
     .footer a { color: #2563eb; text-decoration: none; }
+    .revisions { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 13px; color: #64748b; background: #fff; border: 1px solid #e5e5e5; border-radius: 6px; padding: 10px 14px; margin-bottom: 24px; }
+    .revisions summary { cursor: pointer; color: #b45309; }
+    .revisions ol { margin: 10px 0 0 18px; }
+    .revisions li { margin-bottom: 8px; }
+    .revisions del { color: #94a3b8; }
+    .revisions ins { text-decoration: none; color: #1e293b; }
   </style>
 </head>
 <body>
@@ -97,8 +365,9 @@ app.get('/read/:id', async (req, res) => {
     <a class="header-link" href="${escapeHtml(article.link)}" target="_blank" rel="noopener">View original &rarr;</a>
   </div>
   <article class="article">
-    <div class="meta">${escapeHtml(article.source)}${dateStr ? ' &mdash; ' + escapeHtml(dateStr) : ''}</div>
+    <div class="meta">${escapeHtml(article.source)}${dateStr ? ' &mdash; ' + escapeHtml(dateStr) : ''}${article.archived ? ' &mdash; from the archive' : ''}</div>
     <h1>${escapeHtml(article.title)}</h1>
+    ${revisionHistory}
     <div class="body">${bodyContent}</div>
   </article>
   <div class="footer">
@@ -108,8 +377,195 @@ app.get('/read/:id', async (req, res) => {
 </html>`);
 });
 
+function formatDigestDay(day) {
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Digest-date range for the competitor pages: ?quarter=YYYY-Qn (default this
+ * quarter), ?quarter=all, or ?from=YYYY-MM-DD&to=YYYY-MM-DD (both inclusive).
+ * Null when the query is invalid.
+ */
+function parseSignalRange({ quarter, from, to }) {
+  const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+  if (from || to) {
+    if ((from && !isDay(from)) || (to && !isDay(to))) return null;
+    const end = to ? new Date(`${to}T00:00:00Z`) : null;
+    if (end) end.setUTCDate(end.getUTCDate() + 1);
+    const params = new URLSearchParams(Object.entries({ from, to }).filter(([, value]) => value));
+    return {
+      quarter: null,
+      from: from || null,
+      to: end ? end.toISOString().slice(0, 10) : null,
+      label: `${from ? formatDigestDay(from) : 'First signal'} – ${to ? formatDigestDay(to) : 'today'}`,
+      search: `?${params}`
+    };
+  }
+  if (quarter === 'all') return { quarter: 'all', from: null, to: null, label: 'All time', search: '?quarter=all' };
+
+  const range = quarterRange(quarter || quarterOf());
+  return range && { ...range, label: range.quarter.replace('-', ' '), search: `?quarter=${range.quarter}` };
+}
+
+/**
+ * Links to the neighbouring quarters, this quarter and all time
+ */
+function renderRangeNav(basePath, range) {
+  const current = quarterOf();
+  const viewing = range.quarter && range.quarter !== 'all' ? range.quarter : null;
+  const quarterLink = (quarter, text) => `<a href="${basePath}?quarter=${quarter}">${text}</a>`;
+
+  const anchor = viewing || current;
+  const links = [quarterLink(shiftQuarter(anchor, -1), `&larr; ${shiftQuarter(anchor, -1).replace('-', ' ')}`)];
+  if (viewing && viewing < current) links.push(quarterLink(shiftQuarter(viewing, 1), `${shiftQuarter(viewing, 1).replace('-', ' ')} &rarr;`));
+  if (viewing !== current) links.push(quarterLink(current, 'This quarter'));
+  if (range.quarter !== 'all') links.push(`<a href="${basePath}?quarter=all">All time</a>`);
+  return `<nav class="range">${links.join(' &middot; ')}</nav>`;
+}
+
+function renderCompetitorPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} — Signal</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { background: #f7f7f7; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; line-height: 1.6; }
+    a { color: #2563eb; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    .header { position: sticky; top: 0; background: #fff; border-bottom: 1px solid #e5e5e5; padding: 12px 24px; display: flex; align-items: center; justify-content: space-between; z-index: 10; }
+    .header-brand { font-size: 18px; font-weight: 700; letter-spacing: -0.5px; color: #1e293b; }
+    .header-link { font-size: 13px; }
+    .page { max-width: 760px; margin: 0 auto; padding: 32px 24px 80px; }
+    h1 { font-size: 26px; font-weight: 700; letter-spacing: -0.5px; margin-bottom: 4px; }
+    .meta { font-size: 13px; color: #64748b; margin-bottom: 4px; }
+    .range { font-size: 13px; margin: 16px 0 24px; color: #94a3b8; }
+    table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #e5e5e5; border-radius: 6px; font-size: 14px; }
+    th, td { text-align: left; padding: 10px 14px; border-bottom: 1px solid #f1f5f9; }
+    th { font-size: 12px; font-weight: 600; color: #64748b; text-transform: uppercase; letter-spacing: 0.3px; }
+    td.count { text-align: right; font-variant-numeric: tabular-nums; }
+    tr.quiet td { color: #94a3b8; }
+    .aliases { display: block; font-size: 12px; color: #94a3b8; }
+    .day { margin-bottom: 28px; }
+    .day h2 { font-size: 13px; font-weight: 600; color: #64748b; text-transform: uppercase; letter-spacing: 0.3px; margin-bottom: 10px; }
+    .signal { background: #fff; border: 1px solid #e5e5e5; border-left: 3px solid #2563eb; border-radius: 6px; padding: 12px 16px; margin-bottom: 10px; }
+    .signal-text { font-size: 15px; font-weight: 600; }
+    .implication { font-size: 14px; color: #475569; margin-top: 4px; }
+    .sources { font-size: 13px; margin-top: 8px; color: #64748b; }
+    .sources li { list-style: none; }
+    .empty { font-size: 14px; color: #64748b; background: #fff; border: 1px solid #e5e5e5; border-radius: 6px; padding: 16px; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <span class="header-brand">Signal</span>
+    <a class="header-link" href="/competitors">All competitors</a>
+  </div>
+  <main class="page">
+    ${body}
+  </main>
+</body>
+</html>`;
+}
+
+function renderSourceArticle(article) {
+  const href = article.id ? `/read/${article.id}` : article.link;
+  const title = escapeHtml(article.title || article.link);
+  return `<li><a href="${escapeHtml(href)}">${title}</a>${article.source ? ` &mdash; ${escapeHtml(article.source)}` : ''}</li>`;
+}
+
+app.get('/competitors', async (req, res) => {
+  try {
+    const range = parseSignalRange(req.query);
+    if (!range) return res.status(400).send('quarter must be YYYY-Qn or all; from and to must be YYYY-MM-DD');
+
+    const competitors = await listCompetitors(range);
+    const rows = competitors.map(competitor => `
+        <tr${competitor.signalCount === 0 ? ' class="quiet"' : ''}>
+          <td><a href="/competitors/${escapeHtml(competitor.slug)}${escapeHtml(range.search)}">${escapeHtml(competitor.name)}</a>${competitor.aliases.length > 0 ? `<span class="aliases">${escapeHtml(competitor.aliases.join(', '))}</span>` : ''}</td>
+          <td class="count">${competitor.rangeCount}</td>
+          <td class="count">${competitor.signalCount}</td>
+          <td>${competitor.lastDate ? escapeHtml(formatDigestDay(competitor.lastDate)) : '&mdash;'}</td>
+        </tr>`).join('');
+
+    res.send(renderCompetitorPage('Competitors', `
+      <h1>Competitors</h1>
+      <div class="meta">Competitive signals from every digest, by competitor &mdash; ${escapeHtml(range.label)}</div>
+      ${renderRangeNav('/competitors', range)}
+      <table>
+        <thead><tr><th>Competitor</th><th>${escapeHtml(range.label)}</th><th>All time</th><th>Last signal</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`));
+  } catch (error) {
+    console.error('[API] Competitors failed:', error.message);
+    res.status(500).send(`Competitors failed: ${error.message}`);
+  }
+});
+
+app.get('/competitors/:slug', async (req, res) => {
+  try {
+    const range = parseSignalRange(req.query);
+    if (!range) return res.status(400).send('quarter must be YYYY-Qn or all; from and to must be YYYY-MM-DD');
+
+    const dossier = await getCompetitorDossier(req.params.slug, range);
+    if (!dossier) return res.status(404).send('Competitor not found');
+
+    const days = new Map();
+    for (const signal of dossier.signals) {
+      if (!days.has(signal.digestDate)) days.set(signal.digestDate, []);
+      days.get(signal.digestDate).push(signal);
+    }
+
+    const timeline = [...days].map(([day, signals]) => `
+      <section class="day">
+        <h2><time datetime="${day}">${escapeHtml(formatDigestDay(day))}</time></h2>
+        ${signals.map(signal => `
+        <div class="signal">
+          <p class="signal-text">${escapeHtml(signal.signal)}</p>
+          ${signal.implication ? `<p class="implication">${escapeHtml(signal.implication)}</p>` : ''}
+          <div class="sources">
+            ${signal.competitorName !== dossier.name ? `As &ldquo;${escapeHtml(signal.competitorName)}&rdquo; &middot; ` : ''}${escapeHtml(signal.profile || '')} digest
+            ${signal.articles.length > 0 ? `<ul>${signal.articles.map(renderSourceArticle).join('')}</ul>` : '<br>No source article linked'}
+          </div>
+        </div>`).join('')}
+      </section>`).join('');
+
+    const alsoWritten = dossier.namesSeen.filter(name => name !== dossier.name);
+    res.send(renderCompetitorPage(dossier.name, `
+      <h1>${escapeHtml(dossier.name)}</h1>
+      ${dossier.aliases.length > 0 ? `<div class="meta">Also known as ${escapeHtml(dossier.aliases.join(', '))}</div>` : ''}
+      ${alsoWritten.length > 0 ? `<div class="meta">Written in digests as ${escapeHtml(alsoWritten.join(', '))}</div>` : ''}
+      <div class="meta">${dossier.signals.length} signal${dossier.signals.length === 1 ? '' : 's'} &mdash; ${escapeHtml(range.label)}${dossier.signalCount > 0 ? ` &middot; ${dossier.signalCount} since ${escapeHtml(formatDigestDay(dossier.firstDate))}` : ''}</div>
+      ${renderRangeNav(`/competitors/${encodeURIComponent(dossier.slug)}`, range)}
+      ${timeline || `<p class="empty">No competitive signals for ${escapeHtml(dossier.name)} in this period.</p>`}`));
+  } catch (error) {
+    console.error('[API] Competitor dossier failed:', error.message);
+    res.status(500).send(`Competitor dossier failed: ${error.message}`);
+  }
+});
+
+// Refuse to serve against storage that isn't ready (e.g. a schema missing migrations)
+try {
+  await initStorage();
+} catch (error) {
+  console.error(`[Storage] ${getStorageDriver()}:`, error.message);
+  process.exit(1);
+}
+
+// File competitive signals from digests archived before the competitor store existed
+importArchivedSignals().catch(error => console.error('[Competitors] Error importing archived signals:', error.message));
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`\nSignal server running on port ${PORT}`);
-  console.log(`  GET /health — check digest state\n`);
+  console.log(`  GET /health — check digest state`);
+  console.log(`  GET /runs — recent digest runs`);
+  console.log(`  GET /sources/health — per-feed fetch status`);
+  console.log(`  GET/POST/PATCH/DELETE /sources — source registry`);
+  console.log(`  GET /profiles — analyst profiles`);
+  console.log(`  POST /sources/:name/backfill — backfill a source over a date range`);
+  console.log(`  GET /search?q= — full-text article search`);
+  console.log(`  GET /competitors — competitor dossiers from competitive signals\n`);
   initScheduler();
 });
@@ -1,53 +1,127 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+import { validateDigest, repairDigest } from './digestValidator.js';
+import { complete, isLlmConfigured, isTaskSkipped, parseJsonResponse } from './llm.js';
+
+// Estimated prompt tokens above which the digest is built by map-reduce
+const PROMPT_TOKEN_BUDGET = parseInt(process.env.INSIGHTS_TOKEN_BUDGET, 10) || 60000;
+// Map batches are kept well under the budget so each screening call is quick
+const MAP_CHUNK_TOKENS = Math.floor(PROMPT_TOKEN_BUDGET / 2);
+const MAP_CANDIDATES_PER_CHUNK = 8;
+// Shortlisted articles carry a shorter excerpt into the reduce prompt
+const REDUCE_EXCERPT_CHARS = 800;
+// Validation errors fed back to the model (and kept in the archive) per retry
+const MAX_REPORTED_ERRORS = 20;
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+/**
+ * Parse and validate a digest response
+ * @returns {{digest: Object|null, errors: Array<string>}} digest is null unless the reply is a JSON object
+ */
+function parseDigest(responseText) {
+  let digest;
+  try {
+    digest = parseJsonResponse(responseText, /\{[\s\S]*\}/);
+  } catch (parseError) {
+    return { digest: null, errors: [`response is not valid JSON: ${parseError.message}`] };
+  }
+  const errors = validateDigest(digest);
+  return { digest: errors[0]?.startsWith('digest:') ? null : digest, errors };
+}
 
-const API_TIMEOUT_MS = 180000;
+/**
+ * Follow-up turn asking the model to fix its own digest
+ */
+function buildRetryPrompt(errors) {
+  const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+  const more = errors.length > shown.length ? `\n- ...and ${errors.length - shown.length} more` : '';
+  return `Your reply could not be used. Problems found:
+${shown.map(error => `- ${error}`).join('\n')}${more}
 
-function createTimeout(ms) {
-  return new Promise((_, reject) => {
-    setTimeout(() => reject(new Error(`Claude API request timed out after ${ms / 1000} seconds`)), ms);
-  });
+Reply again with the complete digest as a single JSON object in the same format as requested. Every item needs all of its fields, and every URL must be copied exactly from the articles above. Return ONLY the JSON object.`;
 }
 
 /**
- * Generate a unified daily digest from all articles (no category split)
- * @param {Array} articles - All articles from the last 24 hours
- * @returns {Promise<Object>} Digest object matching the email template format
+ * Rough token count (about 3.5 characters per token for English prose).
+ * Errs high on purpose: it only decides when a prompt is too big for one call.
  */
-export async function generateInsights(articles) {
-  if (!articles || articles.length === 0) {
-    return {
-      date: new Date().toISOString().split('T')[0],
-      top_insights: [],
-      competitive_signals: [],
-      worth_reading: [],
-      nothing_notable: true,
-      article_count: 0,
-      source_count: 0
-    };
-  }
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 3.5);
+}
 
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.log('[Insights] No API key configured, returning nothing-notable');
-    return {
-      date: new Date().toISOString().split('T')[0],
-      top_insights: [],
-      competitive_signals: [],
-      worth_reading: [],
-      nothing_notable: true,
-      article_count: articles.length,
-      source_count: new Set(articles.map(a => a.source)).size
-    };
+/**
+ * CONTEXT lines describing the profile's company, priorities and market
+ */
+function buildProfileContext(profile) {
+  const lines = [];
+  if (profile.company.description) lines.push(`${profile.company.name} is ${profile.company.description}`);
+  if (profile.priorities.length > 0) lines.push(`Current priorities: ${profile.priorities.join(', ')}`);
+  if (profile.roadmapThemes.length > 0) lines.push(`Roadmap themes: ${profile.roadmapThemes.join(', ')}`);
+  if (profile.competitors.length > 0) lines.push(`Key competitors: ${profile.competitors.join(', ')}`);
+  if (profile.disruptors.length > 0) lines.push(`Fintech disruptors: ${profile.disruptors.join(', ')}`);
+  return lines.map(line => `- ${line}`).join('\n');
+}
+
+/**
+ * What qualifies for the top sections, extra worth_reading guidance, and what to skip
+ */
+function buildFilteringCriteria(profile) {
+  const blocks = [];
+  if (profile.criteria.length > 0) {
+    blocks.push(`FILTERING CRITERIA — Only include in top_insights or competitive_signals if at least ONE:\n${
+      profile.criteria.map((criterion, i) => `${i + 1}. ${criterion}`).join('\n')}`);
   }
+  if (profile.worthReadingGuidance) blocks.push(profile.worthReadingGuidance);
+  if (profile.skip) blocks.push(`Skip: ${profile.skip}`);
+  return blocks.join('\n\n');
+}
 
+function countRange({ min = 0, max }) {
+  return min === max ? `Exactly ${max}` : `${min}-${max}`;
+}
+
+/**
+ * RULES lines for each digest section, from the profile's section rules
+ */
+function buildSectionRules({ topInsights, competitiveSignals, worthReading }) {
+  const note = (rules) => (rules.note ? ` ${rules.note}` : '');
+  return [
+    `- top_insights: Exactly ${topInsights.max} (or fewer if truly nothing qualifies). Quality over quantity.${note(topInsights)}`,
+    `- competitive_signals: 0-${competitiveSignals.max}. Only include if a specific competitor is mentioned. Empty array is fine.${note(competitiveSignals)}`,
+    `- worth_reading: ${countRange(worthReading)} links.${note(worthReading)}`
+  ].join('\n');
+}
+
+/**
+ * Split stories into ones with text to analyze and title-only videos
+ */
+function splitArticles(articles) {
   // Separate enriched YouTube videos (with descriptions) from title-only ones
   const enrichedYouTube = articles.filter(a => a.type === 'youtube' && a.originalContent);
   const titleOnlyYouTube = articles.filter(a => a.type === 'youtube' && !a.originalContent);
   const contentArticles = [...articles.filter(a => a.type !== 'youtube'), ...enrichedYouTube];
+  return { contentArticles, titleOnlyYouTube };
+}
 
+/**
+ * What the prompt shows of an article: its enriched record (summary, companies,
+ * topics, relevance) when it has one, otherwise the start of its raw text
+ */
+function articleExcerpt(article, maxChars) {
+  if (article.aiSummary) {
+    const facts = [];
+    if (article.companies?.length > 0) facts.push(`Companies: ${article.companies.join(', ')}`);
+    if (article.topicTags?.length > 0) facts.push(`Topics: ${article.topicTags.join(', ')}`);
+    if (Number.isInteger(article.relevanceScore)) facts.push(`Relevance: ${article.relevanceScore}/10`);
+    return facts.length > 0 ? `${article.aiSummary}\n  ${facts.join(' · ')}` : article.aiSummary;
+  }
+  return (article.originalContent || article.summary || '').substring(0, maxChars);
+}
+
+/**
+ * Render articles grouped by category, then title-only videos, as the prompt's article block
+ * @param {Array} contentArticles - Articles with text; `digestText` overrides the excerpt shown
+ * @param {Array} titleOnlyYouTube - Videos listed by title only
+ */
+function buildArticleBlock(contentArticles, titleOnlyYouTube = []) {
   // Group content articles by category
   const grouped = {};
   for (const article of contentArticles) {
@@ -56,21 +130,25 @@ export async function generateInsights(articles) {
     grouped[cat].push({
       id: article.id,
       title: article.title,
-      summary: article.originalContent?.substring(0, 2000) || article.summary || '',
+      summary: article.digestText ?? articleExcerpt(article, 2000),
       source: article.source,
       link: article.link,
       pubDate: article.pubDate,
-      hasFullContent: article.hasFullContent || false
+      hasFullContent: article.hasFullContent || false,
+      paywalled: article.paywalled || false,
+      coverageSources: article.coverageSources || [article.source]
     });
   }
 
-  const sourceCount = new Set(articles.map(a => a.source)).size;
-
   let articleBlock = '';
   for (const [category, items] of Object.entries(grouped)) {
     articleBlock += `\n## ${category.toUpperCase()} (${items.length} articles)\n`;
     for (const item of items) {
-      articleBlock += `- **${item.title}** (${item.source})\n  ${item.summary}\n  URL: ${item.link}\n`;
+      const paywallNote = item.paywalled ? ' [PAYWALLED — teaser only]' : '';
+      const coverageNote = item.coverageSources.length > 1
+        ? ` [covered by ${item.coverageSources.length} outlets: ${item.coverageSources.join(', ')}]`
+        : '';
+      articleBlock += `- **${item.title}** (${item.source})${paywallNote}${coverageNote}\n  ${item.summary}\n  URL: ${item.link}\n`;
     }
   }
 
@@ -81,27 +159,33 @@ export async function generateInsights(articles) {
     }
   }
 
-  const prompt = `You are the daily intelligence analyst for a Product Manager at Freedom Mortgage who owns the digital mortgage experience (online applications, servicing portal, mobile app).
+  return articleBlock;
+}
+
+/**
+ * The digest prompt: profile context, the article block, and output rules
+ * @param {Object} profile - Analyst profile
+ * @param {Object} input
+ * @param {string} input.heading - Line introducing the article block
+ * @param {string} input.articleBlock - Output of buildArticleBlock
+ * @param {number} input.articleCount - Stories in the digest
+ * @param {number} input.sourceCount - Distinct outlets covering them
+ */
+function buildDigestPrompt(profile, { heading, articleBlock, articleCount, sourceCount }) {
+  const { company, sections } = profile;
+  return `You are the daily intelligence analyst for ${profile.persona}.
 
 CONTEXT:
-- Freedom Mortgage is a top-5 US mortgage servicer
-- Current priorities: digital self-service, digital self-containment, digital originations, mobile app engagement, leveraging AI to accelerate value creation
-- Roadmap themes: servicing retention, loss mitigation automation, borrower communication
-- Key competitors: Rocket Mortgage (acquired Mr. Cooper), United Wholesale Mortgage, loanDepot, PennyMac
-- Fintech disruptors: Better, Blend, Figure, Beeline, Tomo, ICE Mortgage Technology
+${buildProfileContext(profile)}
 
-TODAY'S ARTICLES (${contentArticles.length} content articles + ${titleOnlyYouTube.length} title-only videos from ${sourceCount} sources):
+${heading}
 ${articleBlock}
 
-FILTERING CRITERIA — Only include in top_insights or competitive_signals if at least ONE:
-1. Directly affects Freedom Mortgage's business or competitive position
-2. Signals a technology shift that could change mortgage origination or servicing
-3. Represents a competitor move that requires a response or creates an opportunity
-4. Provides actionable intelligence for the product roadmap
+${buildFilteringCriteria(profile)}
 
-For worth_reading, also include strong product management content (frameworks, practices, case studies, AI/workflow thinking) even if it has no direct mortgage connection — it informs how the PM works, not just what they work on.
+Each entry is one story. Syndicated and re-reported versions of the same story have been merged; [covered by N outlets] lists who ran it. Wide coverage is a signal of importance, but don't repeat a story across sections.
 
-Skip: generic market commentary, rate predictions, political/regulatory speculation without specific impact, content that's behind a paywall with no useful summary.
+Articles marked [PAYWALLED — teaser only] are behind a subscription: the text shown is all we have. Only use one if the teaser itself carries a concrete, specific fact; never infer what the rest of the article says.
 
 OUTPUT FORMAT (strict JSON, no markdown fences):
 {
@@ -110,7 +194,7 @@ OUTPUT FORMAT (strict JSON, no markdown fences):
     {
       "headline": "One-line insight headline",
       "explanation": "2-3 sentences: what happened and why it matters",
-      "connection": "How this connects to Freedom's priorities or roadmap",
+      "connection": "How this connects to ${company.shortName}'s priorities or roadmap",
       "source": "Source name",
       "url": "Article URL"
     }
@@ -119,7 +203,8 @@ OUTPUT FORMAT (strict JSON, no markdown fences):
     {
       "competitor": "Company name",
       "signal": "What they did",
-      "implication": "What it means for Freedom"
+      "implication": "What it means for ${company.shortName}",
+      "url": "URL of the article the signal comes from"
     }
   ],
   "worth_reading": [
@@ -130,40 +215,171 @@ OUTPUT FORMAT (strict JSON, no markdown fences):
     }
   ],
   "nothing_notable": false,
-  "article_count": ${articles.length},
+  "article_count": ${articleCount},
   "source_count": ${sourceCount}
 }
 
 RULES:
-- top_insights: Exactly 3 (or fewer if truly nothing qualifies). Quality over quantity.
-- competitive_signals: 0-3. Only include if a specific competitor is mentioned. Empty array is fine.
-- worth_reading: 3-5 links. Aim for a mix: 2-3 product management articles (from SVPG, Teresa Torres, Lenny's Newsletter, Ethan Mollick, or similar PM/AI sources) plus any standout mortgage or competitive articles. PM content is always valuable here even without a mortgage connection. YouTube videos can go here too.
+${buildSectionRules(sections)}
 - If genuinely nothing is notable today, set nothing_notable: true and leave arrays empty.
 - Never fabricate URLs — only use URLs from the articles provided.
 - Do not generate insights from YouTube video titles alone.
 
 Return ONLY the JSON object, no other text.`;
+}
 
-  try {
-    const apiRequest = anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 8000,
-      temperature: 0.25,
-      messages: [{ role: 'user', content: prompt }]
-    });
+/**
+ * Split articles into map batches: one per category, with categories too big
+ * for one screening call split into several
+ * @returns {Array<{category: string, articles: Array}>}
+ */
+function chunkArticles(contentArticles) {
+  const byCategory = new Map();
+  for (const article of contentArticles) {
+    const category = article.category || 'uncategorized';
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(article);
+  }
+
+  const chunks = [];
+  for (const [category, items] of byCategory) {
+    let current = [];
+    let tokens = 0;
+    for (const item of items) {
+      const itemTokens = estimateTokens(buildArticleBlock([item]));
+      if (current.length > 0 && tokens + itemTokens > MAP_CHUNK_TOKENS) {
+        chunks.push({ category, articles: current });
+        current = [];
+        tokens = 0;
+      }
+      current.push(item);
+      tokens += itemTokens;
+    }
+    if (current.length > 0) chunks.push({ category, articles: current });
+  }
+  return chunks;
+}
+
+/**
+ * Map-step prompt: pick the candidates in one batch worth a place in the digest
+ */
+function buildMapPrompt(profile, chunk, index, total) {
+  return `You are screening news for ${profile.persona}.
+
+CONTEXT:
+${buildProfileContext(profile)}
+
+ARTICLES (batch ${index + 1} of ${total}, ${chunk.articles.length} articles):
+${buildArticleBlock(chunk.articles)}
+
+${buildFilteringCriteria(profile)}
+
+Today's articles are too many to review at once, so they are screened in batches and the final digest is written from the candidates you pick. From this batch only, pick up to ${MAP_CANDIDATES_PER_CHUNK} stories that could make the digest as a top insight, a competitive signal or a worth-reading link.
+
+OUTPUT FORMAT (strict JSON array, no markdown fences):
+[
+  { "url": "Article URL, exactly as given", "kind": "insight | signal | reading", "why": "One sentence on why it matters" }
+]
+
+Return [] if nothing in this batch qualifies. Never fabricate URLs. Return ONLY the JSON array.`;
+}
 
-    const message = await Promise.race([apiRequest, createTimeout(API_TIMEOUT_MS)]);
-    const responseText = message.content[0].text.trim();
+/**
+ * Map step: screen articles batch by batch and keep the candidates picked,
+ * each with a short excerpt plus the screening note for the reduce prompt.
+ * A failed batch is logged and skipped.
+ * @returns {Promise<{articles: Array, chunks: number, failedChunks: number}>} Shortlist in input order
+ */
+async function mapCandidates(contentArticles, profile, runId) {
+  const chunks = chunkArticles(contentArticles);
+  const byUrl = new Map(contentArticles.map(article => [canonicalizeUrl(article.link), article]));
+  const picked = new Map();
+  let failedChunks = 0;
 
-    // Parse JSON (handle possible code fences)
-    let digest;
+  for (const [index, chunk] of chunks.entries()) {
     try {
-      const jsonMatch = responseText.match(/```json\n?([\s\S]*?)\n?```/) ||
-                        responseText.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : responseText;
-      digest = JSON.parse(jsonText);
-    } catch (parseError) {
-      console.error('[Insights] Error parsing Claude response:', parseError.message);
+      const responseText = await complete('insightsMap', buildMapPrompt(profile, chunk, index, chunks.length), { runId });
+      const candidates = parseJsonResponse(responseText, /\[[\s\S]*\]/);
+      if (!Array.isArray(candidates)) throw new Error('response is not a JSON array');
+
+      let kept = 0;
+      for (const candidate of candidates.slice(0, MAP_CANDIDATES_PER_CHUNK)) {
+        const article = byUrl.get(canonicalizeUrl(candidate?.url));
+        if (!article || picked.has(article.id)) continue;
+        const excerpt = articleExcerpt(article, REDUCE_EXCERPT_CHARS);
+        picked.set(article.id, { ...article, digestText: `Screening note: ${candidate.why || candidate.kind || 'candidate'}\n  ${excerpt}` });
+        kept++;
+      }
+      console.log(`[Insights] Map batch ${index + 1}/${chunks.length} (${chunk.category}, ${chunk.articles.length} articles): ${kept} candidates`);
+    } catch (error) {
+      failedChunks++;
+      console.error(`[Insights] Map batch ${index + 1}/${chunks.length} (${chunk.category}) failed: ${error.message}`);
+    }
+  }
+
+  return {
+    articles: contentArticles.filter(article => picked.has(article.id)).map(article => picked.get(article.id)),
+    chunks: chunks.length,
+    failedChunks
+  };
+}
+
+/**
+ * Generate a unified daily digest for one analyst profile (no category split)
+ * @param {Array} articles - Stories selected for the digest
+ * @param {Object} profile - Analyst profile from profileRegistry (persona, company, priorities, section rules)
+ * @param {Object} [options]
+ * @param {number|null} [options.runId] - Pipeline run the model calls are attributed to
+ * @returns {Promise<Object>} Digest object matching the email template format. When
+ *   generation fails it is an empty nothing-notable digest with `failed` set to the reason.
+ */
+export async function generateInsights(articles, profile, { runId = null } = {}) {
+  if (!articles || articles.length === 0) {
+    return {
+      date: new Date().toISOString().split('T')[0],
+      top_insights: [],
+      competitive_signals: [],
+      worth_reading: [],
+      nothing_notable: true,
+      article_count: 0,
+      source_count: 0
+    };
+  }
+
+  if (!(await isLlmConfigured())) {
+    console.log('[Insights] No LLM provider configured (ANTHROPIC_API_KEY is not set), returning nothing-notable');
+    return {
+      date: new Date().toISOString().split('T')[0],
+      top_insights: [],
+      competitive_signals: [],
+      worth_reading: [],
+      nothing_notable: true,
+      article_count: articles.length,
+      source_count: new Set(articles.map(a => a.source)).size,
+      failed: 'No LLM provider configured'
+    };
+  }
+
+  const { contentArticles, titleOnlyYouTube } = splitArticles(articles);
+  // Content articles that reach the final prompt (only the shortlist on the map-reduce path)
+  let promptArticles = contentArticles;
+  const sourceCount = new Set(articles.flatMap(a => a.coverageSources || [a.source])).size;
+  const { sections } = profile;
+
+  let prompt = buildDigestPrompt(profile, {
+    heading: `TODAY'S ARTICLES (${contentArticles.length} content articles + ${titleOnlyYouTube.length} title-only videos from ${sourceCount} sources):`,
+    articleBlock: buildArticleBlock(contentArticles, titleOnlyYouTube),
+    articleCount: articles.length,
+    sourceCount
+  });
+  let generation = { path: 'single', estimatedTokens: estimateTokens(prompt), tokenBudget: PROMPT_TOKEN_BUDGET };
+
+  // Too big for one call: screen the articles in batches, then write the digest from the shortlist
+  if (generation.estimatedTokens > PROMPT_TOKEN_BUDGET) {
+    console.log(`[Insights] Prompt is ~${generation.estimatedTokens} tokens (budget ${PROMPT_TOKEN_BUDGET}), using map-reduce`);
+    const shortlist = await mapCandidates(contentArticles, profile, runId);
+    if (shortlist.failedChunks === shortlist.chunks) {
+      console.error(`[Insights] Every map batch failed, returning nothing-notable`);
       return {
         date: new Date().toISOString().split('T')[0],
         top_insights: [],
@@ -171,18 +387,85 @@ Return ONLY the JSON object, no other text.`;
         worth_reading: [],
         nothing_notable: true,
         article_count: articles.length,
-        source_count: sourceCount
+        source_count: sourceCount,
+        generation: { ...generation, path: 'map-reduce', chunks: shortlist.chunks, failedChunks: shortlist.failedChunks, candidates: 0 },
+        failed: 'Every map batch failed'
       };
     }
+    prompt = buildDigestPrompt(profile, {
+      heading: `TODAY'S SHORTLIST (${shortlist.articles.length} of ${contentArticles.length} content articles, pre-screened in ${shortlist.chunks} batches, + ${titleOnlyYouTube.length} title-only videos from ${sourceCount} sources):`,
+      articleBlock: buildArticleBlock(shortlist.articles, titleOnlyYouTube),
+      articleCount: articles.length,
+      sourceCount
+    });
+    promptArticles = shortlist.articles;
+    generation = {
+      ...generation,
+      path: 'map-reduce',
+      chunks: shortlist.chunks,
+      failedChunks: shortlist.failedChunks,
+      candidates: shortlist.articles.length,
+      reduceEstimatedTokens: estimateTokens(prompt)
+    };
+    if (generation.reduceEstimatedTokens > PROMPT_TOKEN_BUDGET) {
+      console.warn(`[Insights] Shortlist prompt is still ~${generation.reduceEstimatedTokens} tokens, over the ${PROMPT_TOKEN_BUDGET} budget`);
+    }
+  }
+
+  const sentCount = promptArticles.length + titleOnlyYouTube.length;
+  console.log(`[Insights] Sending ${sentCount} of ${articles.length} articles to the model (${promptArticles.length} with content, ${titleOnlyYouTube.length} title-only videos, ~${estimateTokens(prompt)} prompt tokens, ${generation.path})`);
+
+  try {
+    const messages = [{ role: 'user', content: prompt }];
+    let responseText = await complete('insights', messages, { runId });
+    let { digest, errors } = parseDigest(responseText);
+
+    // One retry, showing the model its reply and what was wrong with it
+    if (errors.length > 0) {
+      console.warn(`[Insights] Digest failed validation (${errors.length} errors), retrying once: ${errors.slice(0, 3).join('; ')}`);
+      generation.validationErrors = errors.slice(0, MAX_REPORTED_ERRORS);
+      messages.push(
+        { role: 'assistant', content: responseText },
+        { role: 'user', content: buildRetryPrompt(errors) }
+      );
+      responseText = await complete('insights', messages, { runId });
+      ({ digest, errors } = parseDigest(responseText));
+      generation.retried = true;
+      if (digest && errors.length > 0) {
+        console.warn(`[Insights] Retry still has ${errors.length} validation errors, repairing what it can`);
+      }
+    }
+
+    if (!digest) {
+      console.error('[Insights] Error parsing model response:', errors.join('; '));
+      return {
+        date: new Date().toISOString().split('T')[0],
+        top_insights: [],
+        competitive_signals: [],
+        worth_reading: [],
+        nothing_notable: true,
+        article_count: articles.length,
+        source_count: sourceCount,
+        generation,
+        corrections: [{ action: 'rejected', reason: errors.join('; ') }],
+        failed: 'Model response was not a valid digest'
+      };
+    }
+
+    // Drop invalid items, check every URL against the input and hold sections to the profile's limits
+    const corrections = repairDigest(digest, articles, sections);
+    for (const correction of corrections) {
+      console.warn(`[Insights] Correction: ${correction.section || 'digest'}${correction.index !== undefined ? `[${correction.index}]` : ''} ${correction.action} — ${correction.reason}`);
+    }
 
     // Ensure required fields
-    digest.date = digest.date || new Date().toISOString().split('T')[0];
+    if (typeof digest.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(digest.date)) {
+      digest.date = new Date().toISOString().split('T')[0];
+    }
     digest.article_count = articles.length;
     digest.source_count = sourceCount;
-    digest.top_insights = digest.top_insights || [];
-    digest.competitive_signals = digest.competitive_signals || [];
-    digest.worth_reading = digest.worth_reading || [];
-    digest.nothing_notable = digest.nothing_notable || false;
+    digest.generation = generation;
+    digest.corrections = corrections;
 
     // Deduplicate across sections (priority: insights > signals > worth_reading)
     // Match on URLs when available, plus source+keyword overlap for items without URLs
@@ -250,7 +533,7 @@ Return ONLY the JSON object, no other text.`;
   } catch (error) {
     console.error(`[Insights] Error generating insights: ${error.message}`);
     console.error(`[Insights] Error type: ${error.constructor.name}, status: ${error.status || 'N/A'}`);
-    console.error(`[Insights] Articles passed: ${articles.length}, prompt length: ${prompt.length} chars`);
+    console.error(`[Insights] Articles passed: ${articles.length}, prompt length: ${prompt.length} chars (~${estimateTokens(prompt)} tokens)`);
     return {
       date: new Date().toISOString().split('T')[0],
       top_insights: [],
@@ -258,7 +541,9 @@ Return ONLY the JSON object, no other text.`;
       worth_reading: [],
       nothing_notable: true,
       article_count: articles.length,
-      source_count: sourceCount
+      source_count: sourceCount,
+      generation,
+      failed: error.message
     };
   }
 }
@@ -266,13 +551,21 @@ Return ONLY the JSON object, no other text.`;
 /**
  * Generate a weekly summary from the last 5 daily digests
  * @param {Array} recentDigests - Array of recent digest objects (newest first)
+ * @param {Object} profile - Analyst profile the digests were written for
+ * @param {Object} [options]
+ * @param {number|null} [options.runId] - Pipeline run the model call is attributed to
  * @returns {Promise<Array<string>>} Array of 3-5 bullet summary strings
  */
-export async function generateWeeklySummary(recentDigests) {
+export async function generateWeeklySummary(recentDigests, profile, { runId = null } = {}) {
   if (!recentDigests || recentDigests.length === 0) return [];
 
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.log('[Insights] No API key, skipping weekly summary');
+  if (!(await isLlmConfigured())) {
+    console.log('[Insights] No LLM provider configured, skipping weekly summary');
+    return [];
+  }
+
+  if (await isTaskSkipped('weeklySummary')) {
+    console.log('[Insights] Monthly LLM budget spent, skipping weekly summary');
     return [];
   }
 
@@ -282,7 +575,7 @@ export async function generateWeeklySummary(recentDigests) {
     return `### ${d.date}\nInsights:\n${insights}\nSignals:\n${signals}`;
   }).join('\n\n');
 
-  const prompt = `You are a weekly intelligence summarizer for a mortgage industry Product Manager.
+  const prompt = `You are a weekly intelligence summarizer for ${profile.persona}.
 
 Here are the daily digests from this week:
 
@@ -297,15 +590,7 @@ Return ONLY a JSON array of strings (each string is one bullet point). No other
 Example: ["Bullet one here", "Bullet two here", "Bullet three here"]`;
 
   try {
-    const apiRequest = anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 2000,
-      temperature: 0.25,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const message = await Promise.race([apiRequest, createTimeout(60000)]);
-    const responseText = message.content[0].text.trim();
+    const responseText = await complete('weeklySummary', prompt, { runId });
 
     const jsonMatch = responseText.match(/\[[\s\S]*\]/);
     const bullets = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
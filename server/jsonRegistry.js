@@ -0,0 +1,140 @@
+import { readFile, writeFile, rename, stat } from 'fs/promises';
+
+/**
+ * Build an error carrying an HTTP status and field-level details for the admin API
+ */
+export function registryError(message, status, details = []) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+export function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+/**
+ * Validate a whole registry file, prefixing errors with the offending entry
+ * @param {Object} config - Parsed file
+ * @param {Object} options
+ * @param {string} options.fileName - Name used in messages, e.g. "sources.json"
+ * @param {string} options.listKey - Top-level array of entries, e.g. "sources"
+ * @param {string} options.idField - Field naming each entry, which must be unique
+ * @param {Function} options.validateEntry - Entry → validation errors (empty when valid)
+ * @param {Function} [options.idKey] - Id → the form compared for duplicates
+ * @param {boolean} [options.allowEmpty] - Whether an empty list is valid
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateEntries(config, { fileName, listKey, idField, validateEntry, idKey = id => id, allowEmpty = true }) {
+  const entries = config?.[listKey];
+  if (!Array.isArray(entries) || (!allowEmpty && entries.length === 0)) {
+    return [`${fileName} must contain a ${allowEmpty ? '' : 'non-empty '}"${listKey}" array`];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  entries.forEach((entry, index) => {
+    const id = entry?.[idField];
+    const label = id ? `${listKey}[${index}] (${id})` : `${listKey}[${index}]`;
+    for (const error of validateEntry(entry)) errors.push(`${label}: ${error}`);
+
+    const key = typeof id === 'string' ? idKey(id) : null;
+    if (key) {
+      if (seen.has(key)) errors.push(`${label}: duplicate ${idField}`);
+      seen.add(key);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * A validated JSON config file (sources.json, profiles.json, ...) that is
+ * reloaded whenever it changes on disk. An invalid file keeps the last good
+ * registry in place; with nothing to fall back on, load() throws. A bad file
+ * is only read (and reported) once, not on every load.
+ * @param {Object} options
+ * @param {string} options.filePath - File to read
+ * @param {string} options.fileName - Name used in messages, e.g. "sources.json"
+ * @param {string} options.listKey - Top-level array the file holds, e.g. "sources"
+ * @param {string} options.tag - Log tag, e.g. "Sources"
+ * @param {Function} options.validate - Config → validation errors (empty when valid)
+ * @param {Function} [options.build] - Valid config → the registry callers see (default: the config itself)
+ */
+export function createJsonRegistry({ filePath, fileName, listKey, tag, validate, build = config => config }) {
+  // Last known-good registry; kept when a reload finds an invalid file
+  let registry = null;
+  let lastReloadError = null;
+  let failedMtimeMs = null;
+
+  function use(config, mtimeMs) {
+    registry = { ...build(config), mtimeMs, loadedAt: new Date().toISOString() };
+    lastReloadError = null;
+    failedMtimeMs = null;
+    return registry;
+  }
+
+  async function readRegistryFile() {
+    const data = await readFile(filePath, 'utf8');
+
+    let config;
+    try {
+      config = JSON.parse(data);
+    } catch (error) {
+      throw registryError(`${fileName} is not valid JSON: ${error.message}`, 500);
+    }
+
+    const errors = validate(config);
+    if (errors.length > 0) {
+      throw registryError(`${fileName} failed validation`, 500, errors);
+    }
+    return config;
+  }
+
+  return {
+    /**
+     * The current registry, reloading it if the file changed on disk
+     */
+    async load() {
+      let mtimeMs = null;
+      try {
+        mtimeMs = (await stat(filePath)).mtimeMs;
+        if (registry && mtimeMs === registry.mtimeMs) return registry;
+        if (mtimeMs !== failedMtimeMs) {
+          const config = await readRegistryFile();
+          use(config, mtimeMs);
+          console.log(`[${tag}] Loaded ${config[listKey].length} ${listKey} from ${filePath}`);
+          return registry;
+        }
+      } catch (error) {
+        failedMtimeMs = mtimeMs;
+        lastReloadError = { message: error.message, details: error.details || [], at: new Date().toISOString() };
+        console.error(`[${tag}] Error loading ${fileName}: ${error.message}`);
+        for (const detail of error.details || []) console.error(`  - ${detail}`);
+        if (registry) console.error(`[${tag}] Keeping previously loaded ${listKey}`);
+      }
+
+      if (registry) return registry;
+      throw registryError(lastReloadError.message, 500, lastReloadError.details);
+    },
+
+    /**
+     * Write an already-validated config to the file (atomically) and use it
+     */
+    async save(config) {
+      const tmpPath = `${filePath}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+      await rename(tmpPath, filePath);
+      return use(config, (await stat(filePath)).mtimeMs);
+    },
+
+    /**
+     * Why the last reload failed ({ message, details, at }), or null
+     */
+    lastReloadError() {
+      return lastReloadError;
+    }
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * LLM access for the pipeline
+ *
+ * LLM_PROVIDER picks the implementation:
+ *   anthropic (default) — Claude, using ANTHROPIC_API_KEY
+ *   record              — Claude, saving every prompt/response pair to LLM_RECORDINGS_DIR
+ *   replay              — answers only from LLM_RECORDINGS_DIR; no network or key needed
+ *
+ * Model, temperature, max tokens and timeout are set per task in llm.json,
+ * along with model prices and the monthly budget. Every call that reaches a
+ * model is recorded in storage with its tokens, latency, retries and
+ * estimated cost (replayed calls cost nothing and aren't recorded).
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRecordedProvider } from './recordedProvider.js';
+import { recordLlmUsage, getLlmUsageTotals } from './storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LLM_CONFIG_PATH = process.env.LLM_CONFIG_PATH || path.join(__dirname, 'llm.json');
+const RECORDINGS_DIR = process.env.LLM_RECORDINGS_DIR || path.join(__dirname, 'data', 'llm-recordings');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+const DEFAULT_TASKS = {
+  insights: { model: DEFAULT_MODEL, temperature: 0.25, maxTokens: 8000, timeoutMs: 180000 },
+  insightsMap: { model: DEFAULT_MODEL, temperature: 0.25, maxTokens: 2000, timeoutMs: 120000 },
+  weeklySummary: { model: DEFAULT_MODEL, temperature: 0.25, maxTokens: 2000, timeoutMs: 60000 },
+  enrichment: { model: DEFAULT_MODEL, temperature: 0, maxTokens: 4000, timeoutMs: 120000 }
+};
+
+const SETTING_CHECKS = {
+  model: value => typeof value === 'string' && value.trim().length > 0,
+  temperature: value => Number.isFinite(value) && value >= 0 && value <= 1,
+  maxTokens: value => Number.isInteger(value) && value > 0,
+  timeoutMs: value => Number.isInteger(value) && value > 0
+};
+
+let provider = null;
+
+/**
+ * Name of the configured provider
+ */
+export function getLlmProvider() {
+  return (process.env.LLM_PROVIDER || 'anthropic').trim().toLowerCase();
+}
+
+async function getProvider() {
+  if (!provider) {
+    const name = getLlmProvider();
+    if (name === 'anthropic') {
+      provider = await import('./anthropicProvider.js');
+    } else if (name === 'record') {
+      provider = createRecordedProvider({ dir: RECORDINGS_DIR, upstream: await import('./anthropicProvider.js') });
+    } else if (name === 'replay') {
+      provider = createRecordedProvider({ dir: RECORDINGS_DIR });
+    } else {
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected anthropic, record or replay)`);
+    }
+  }
+  return provider;
+}
+
+function readLlmConfig() {
+  try {
+    return JSON.parse(readFileSync(LLM_CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    console.error(`[LLM] Could not read ${LLM_CONFIG_PATH}, using defaults:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Settings for one task from llm.json, falling back to the defaults for a
+ * missing file or any invalid setting
+ * @param {string} task - insights, insightsMap, weeklySummary or enrichment
+ * @param {Object} [fileConfig] - Parsed llm.json, when the caller has already read it
+ * @returns {{model: string, temperature: number, maxTokens: number, timeoutMs: number}}
+ */
+export function getTaskConfig(task, fileConfig = readLlmConfig()) {
+  if (!DEFAULT_TASKS[task]) throw new Error(`Unknown LLM task "${task}"`);
+
+  const config = { ...DEFAULT_TASKS[task] };
+  for (const [setting, value] of Object.entries(fileConfig.tasks?.[task] || {})) {
+    if (SETTING_CHECKS[setting]?.(value)) {
+      config[setting] = value;
+    } else {
+      console.error(`[LLM] Ignoring invalid ${task}.${setting}: ${JSON.stringify(value)}`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Budget settings from llm.json. monthlyUsd null means no budget; once it's
+ * spent, skipTasks stop running and every other task uses fallbackModel.
+ * @returns {{monthlyUsd: number|null, fallbackModel: string|null, skipTasks: Array<string>}}
+ */
+function getBudgetConfig(fileConfig) {
+  const budget = fileConfig.budget || {};
+  const monthlyUsd = Number.isFinite(budget.monthlyUsd) && budget.monthlyUsd > 0 ? budget.monthlyUsd : null;
+  if (budget.monthlyUsd != null && monthlyUsd === null) {
+    console.error(`[LLM] Ignoring invalid budget.monthlyUsd: ${JSON.stringify(budget.monthlyUsd)}`);
+  }
+  return {
+    monthlyUsd,
+    fallbackModel: SETTING_CHECKS.model(budget.fallbackModel) ? budget.fallbackModel : null,
+    skipTasks: Array.isArray(budget.skipTasks) ? budget.skipTasks.filter(task => DEFAULT_TASKS[task]) : []
+  };
+}
+
+/**
+ * Estimated cost of one call in USD from llm.json prices (per million tokens),
+ * or null for a model without a price
+ */
+function estimateCost(model, usage, fileConfig) {
+  const price = fileConfig.pricing?.[model];
+  if (!price || !usage) return null;
+  return ((usage.inputTokens || 0) * (price.inputPerMTok || 0) + (usage.outputTokens || 0) * (price.outputPerMTok || 0)) / 1e6;
+}
+
+/**
+ * First instant of the current (UTC) month
+ */
+function startOfMonth() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * This month's spend against the configured budget. When the spend can't be
+ * read, spentUsd is null and a configured budget counts as exceeded, so a
+ * storage failure falls back to the cheaper model rather than spending freely.
+ * @returns {Promise<{month: string, monthlyUsd: number|null, spentUsd: number|null, remainingUsd: number|null, exceeded: boolean,
+ *   fallbackModel: string|null, skipTasks: Array<string>}>}
+ */
+export async function getBudgetStatus(fileConfig = readLlmConfig()) {
+  const budget = getBudgetConfig(fileConfig);
+  const since = startOfMonth();
+  let spentUsd = null;
+  try {
+    const totals = await getLlmUsageTotals({ period: 'month', since });
+    spentUsd = totals.reduce((sum, row) => sum + row.costUsd, 0);
+  } catch (error) {
+    console.error('[LLM] Could not read this month\'s spend:', error.message);
+  }
+  return {
+    month: since.toISOString().slice(0, 7),
+    ...budget,
+    spentUsd,
+    remainingUsd: budget.monthlyUsd === null || spentUsd === null ? null : Math.max(0, budget.monthlyUsd - spentUsd),
+    exceeded: budget.monthlyUsd !== null && (spentUsd === null || spentUsd >= budget.monthlyUsd)
+  };
+}
+
+/**
+ * Combine per-task usage rows into one entry per period, newest first, each
+ * with its totals and a per-task breakdown
+ */
+function groupUsage(rows, key) {
+  const periods = new Map();
+  for (const row of rows) {
+    if (!periods.has(row.period)) {
+      periods.set(row.period, { [key]: row.period, calls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, retries: 0, costUsd: 0, tasks: {} });
+    }
+    const entry = periods.get(row.period);
+    const { period, task, ...totals } = row;
+    for (const [field, value] of Object.entries(totals)) entry[field] += value;
+    entry.tasks[task] = totals;
+  }
+  return [...periods.values()];
+}
+
+/**
+ * Daily and monthly LLM usage (calls, tokens, retries, estimated cost) with
+ * this month's budget status, for the /usage endpoint
+ * @param {Object} [options]
+ * @param {number} [options.days] - Days of daily totals, including today
+ * @param {number} [options.months] - Months of monthly totals, including this one
+ */
+export async function getUsageReport({ days = 30, months = 12 } = {}) {
+  const now = new Date();
+  const dailySince = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - days + 1));
+  const monthlySince = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months + 1, 1));
+
+  const [dailyRows, monthlyRows, budget] = await Promise.all([
+    getLlmUsageTotals({ period: 'day', since: dailySince }),
+    getLlmUsageTotals({ period: 'month', since: monthlySince }),
+    getBudgetStatus()
+  ]);
+  return {
+    budget,
+    daily: groupUsage(dailyRows, 'date'),
+    monthly: groupUsage(monthlyRows, 'month')
+  };
+}
+
+/**
+ * Whether an optional task should be skipped because the monthly budget is spent
+ */
+export async function isTaskSkipped(task) {
+  const status = await getBudgetStatus();
+  return status.exceeded && status.skipTasks.includes(task);
+}
+
+/**
+ * Whether the configured provider can answer requests (an API key is set, or
+ * responses are replayed from disk)
+ */
+export async function isLlmConfigured() {
+  return (await getProvider()).isConfigured();
+}
+
+/**
+ * Parse JSON from a response, unwrapping code fences or surrounding prose
+ * @param {string} responseText - Model output
+ * @param {RegExp} shape - Matches the bare JSON value (object or array)
+ */
+export function parseJsonResponse(responseText, shape) {
+  const jsonMatch = responseText.match(/```json\n?([\s\S]*?)\n?```/) || responseText.match(shape);
+  const jsonText = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : responseText;
+  return JSON.parse(jsonText);
+}
+
+/**
+ * Run one task and return the response text. Over the monthly budget, an
+ * optional task throws instead of running and any other task uses the
+ * fallback model.
+ * @param {string} task - Task name from llm.json
+ * @param {string|Array<Object>} prompt - User prompt, or messages for a follow-up turn
+ * @param {Object} [options]
+ * @param {number|null} [options.runId] - Pipeline run the call is attributed to
+ */
+export async function complete(task, prompt, { runId = null } = {}) {
+  const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+  const fileConfig = readLlmConfig();
+  const config = getTaskConfig(task, fileConfig);
+  const metered = getLlmProvider() !== 'replay';
+
+  if (metered) {
+    const budget = await getBudgetStatus(fileConfig);
+    if (budget.exceeded) {
+      if (budget.skipTasks.includes(task)) {
+        throw new Error(`Monthly LLM budget of $${budget.monthlyUsd} is spent; ${task} is skipped until next month`);
+      }
+      if (budget.fallbackModel && budget.fallbackModel !== config.model) {
+        const spent = budget.spentUsd === null ? `spend unknown, budget $${budget.monthlyUsd}` : `$${budget.spentUsd.toFixed(2)} of $${budget.monthlyUsd}`;
+        console.warn(`[LLM] Monthly budget spent (${spent}), ${task} using ${budget.fallbackModel}`);
+        config.model = budget.fallbackModel;
+      }
+    }
+  }
+
+  const startedAt = Date.now();
+  try {
+    const result = await (await getProvider()).complete({ task, ...config, messages });
+    if (metered) {
+      await recordLlmUsage({
+        runId,
+        task,
+        model: config.model,
+        status: 'ok',
+        inputTokens: result.usage?.inputTokens ?? null,
+        outputTokens: result.usage?.outputTokens ?? null,
+        latencyMs: Date.now() - startedAt,
+        retries: result.retries || 0,
+        costUsd: estimateCost(config.model, result.usage, fileConfig)
+      });
+    }
+    return result.text;
+  } catch (error) {
+    if (metered) {
+      await recordLlmUsage({ runId, task, model: config.model, status: 'error', latencyMs: Date.now() - startedAt, retries: error.retries || 0 });
+    }
+    throw error;
+  }
+}
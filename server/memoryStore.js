@@ -0,0 +1,770 @@
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+
+/**
+ * In-memory storage driver (STORAGE_DRIVER=memory)
+ *
+ * Implements the same interface as the Postgres driver (db.js plus the JSONL
+ * digest archive) with plain Maps, so the pipeline runs on a laptop or in a
+ * test without a database server. Everything lives for the life of the
+ * process. Search approximates Postgres full-text search: same query syntax
+ * and field weights, with a crude English stemmer.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const SNIPPET_WORDS = 35;
+
+let articles = new Map();
+let idsByCanonicalUrl = new Map();
+let archivedArticles = new Map();
+let stories = new Map();
+let revisions = [];
+let sourceHealth = new Map();
+let digests = [];
+let runs = [];
+let llmUsage = [];
+let competitorSignals = [];
+let nextArticleId = 1;
+let nextStoryId = 1;
+let nextRunId = 1;
+
+// Fields compared to decide whether a re-save changed an article
+const ARTICLE_FIELDS = ['title', 'pubDate', 'category', 'type', 'summary', 'originalContent', 'imageUrl', 'contentHtml',
+  'hasFullContent', 'dateline', 'extractionMethod', 'paywalled', 'paywallReason'];
+
+/**
+ * Nothing to prepare; kept so callers can initialize any driver the same way
+ */
+export async function init() {
+  console.log('[MemoryStore] Using in-memory storage (data is not persisted)');
+}
+
+/**
+ * Drop everything stored so far (for tests)
+ */
+export function reset() {
+  articles = new Map();
+  idsByCanonicalUrl = new Map();
+  archivedArticles = new Map();
+  stories = new Map();
+  revisions = [];
+  sourceHealth = new Map();
+  digests = [];
+  runs = [];
+  llmUsage = [];
+  competitorSignals = [];
+  nextArticleId = 1;
+  nextStoryId = 1;
+  nextRunId = 1;
+}
+
+/**
+ * Copy a stored record into the article shape db.js returns
+ */
+function toArticle(record) {
+  const { minhash, ...article } = record;
+  return { ...article };
+}
+
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  return a === b;
+}
+
+function revisionValue(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Store an article keyed by its canonical URL; same contract as db.saveArticle,
+ * including a revision for every update
+ */
+export async function saveArticle(article) {
+  const canonicalUrl = canonicalizeUrl(article.link);
+  const fields = {
+    title: article.title || '',
+    pubDate: article.pubDate ? new Date(article.pubDate) : null,
+    category: article.category || '',
+    type: article.type || 'article',
+    summary: article.summary || '',
+    originalContent: article.originalContent || '',
+    imageUrl: article.imageUrl || null,
+    contentHtml: article.contentHtml || null,
+    hasFullContent: article.hasFullContent || false,
+    dateline: article.dateline || null,
+    extractionMethod: article.extractionMethod || null,
+    paywalled: article.paywalled || false,
+    paywallReason: article.paywallReason || null
+  };
+
+  const existingId = idsByCanonicalUrl.get(canonicalUrl);
+  if (existingId) {
+    const existing = articles.get(existingId);
+    if (!fields.pubDate) fields.pubDate = existing.pubDate;
+    if (ARTICLE_FIELDS.every(field => sameValue(existing[field], fields[field]))) {
+      return { ...article, isNew: false, changed: false };
+    }
+    const changes = {};
+    for (const field of ARTICLE_FIELDS) {
+      if (!sameValue(existing[field], fields[field])) changes[field] = { from: revisionValue(existing[field]), to: revisionValue(fields[field]) };
+    }
+    revisions.push({ id: revisions.length + 1, articleId: existingId, revisedAt: new Date(), changes });
+    Object.assign(existing, fields);
+    console.log(`[MemoryStore] Article updated: ${fields.title.substring(0, 50)}`);
+    return { ...article, id: existingId, isNew: false, changed: true };
+  }
+
+  const id = nextArticleId++;
+  articles.set(id, {
+    id,
+    ...fields,
+    link: article.link || '',
+    canonicalUrl,
+    pubDate: fields.pubDate || new Date(),
+    source: article.source || '',
+    firstSeenAt: new Date(),
+    lastDigestedAt: null,
+    storyId: null,
+    minhash: null,
+    extractionAttempts: 0,
+    aiSummary: null,
+    companies: [],
+    topicTags: [],
+    relevanceScore: null,
+    enrichmentHash: null,
+    enrichedAt: null
+  });
+  idsByCanonicalUrl.set(canonicalUrl, id);
+  console.log(`[MemoryStore] Article saved: ${fields.title.substring(0, 50)}`);
+  return { ...article, id, isNew: true, changed: true };
+}
+
+/**
+ * Count one more full-text extraction retry for each article
+ */
+export async function recordExtractionAttempts(ids) {
+  for (const id of ids || []) {
+    const article = articles.get(id);
+    if (article) article.extractionAttempts++;
+  }
+}
+
+/**
+ * Look up already-stored articles by link, matching on canonical URL
+ */
+export async function getArticlesByLinks(links) {
+  const found = new Map();
+  for (const link of links || []) {
+    const id = idsByCanonicalUrl.get(canonicalizeUrl(link));
+    if (id) found.set(link, toArticle(articles.get(id)));
+  }
+  return found;
+}
+
+/**
+ * Enrichments already made for any of the given content hashes
+ */
+export async function getEnrichmentsByHash(hashes) {
+  const wanted = new Set(hashes || []);
+  const found = new Map();
+  const enriched = [...articles.values()]
+    .filter(record => wanted.has(record.enrichmentHash) && record.aiSummary)
+    .sort((a, b) => a.enrichedAt - b.enrichedAt);
+  for (const record of enriched) {
+    found.set(record.enrichmentHash, {
+      aiSummary: record.aiSummary,
+      companies: [...record.companies],
+      topicTags: [...record.topicTags],
+      relevanceScore: record.relevanceScore
+    });
+  }
+  return found;
+}
+
+/**
+ * Store an article's enrichment along with the content hash it was made from
+ */
+export async function saveArticleEnrichment(id, { contentHash, aiSummary, companies, topicTags, relevanceScore }) {
+  const record = articles.get(id);
+  if (!record) return;
+  Object.assign(record, {
+    aiSummary,
+    companies: [...companies],
+    topicTags: [...topicTags],
+    relevanceScore,
+    enrichmentHash: contentHash,
+    enrichedAt: new Date()
+  });
+}
+
+/**
+ * Revision history of an article, oldest first
+ */
+export async function getArticleRevisions(articleId) {
+  return revisions
+    .filter(revision => revision.articleId === articleId)
+    .map(({ id, revisedAt, changes }) => ({ id, revisedAt, changes }));
+}
+
+function endOfDay(value) {
+  const endDate = new Date(value);
+  endDate.setHours(23, 59, 59, 999);
+  return endDate;
+}
+
+/**
+ * Predicate for the filters db.js turns into a WHERE clause
+ */
+function matchesFilters(record, filters, query = null) {
+  if (filters.source && record.source !== filters.source) return false;
+  if (filters.category && record.category !== filters.category) return false;
+  if (filters.undigested && record.lastDigestedAt) return false;
+  if (filters.firstSeenAfter && record.firstSeenAt < new Date(filters.firstSeenAfter)) return false;
+  if (filters.startDate && !(record.pubDate >= new Date(filters.startDate))) return false;
+  if (filters.endDate && !(record.pubDate <= endOfDay(filters.endDate))) return false;
+  if (query && !matchesQuery(record, query)) return false;
+  return true;
+}
+
+function sortTime(record) {
+  return record.pubDate ? record.pubDate.getTime() : 0;
+}
+
+function compareNewestFirst(a, b) {
+  return (sortTime(b) - sortTime(a)) || (b.id - a.id);
+}
+
+function encodeCursor(record) {
+  return Buffer.from(JSON.stringify({ d: new Date(sortTime(record)).toISOString(), id: record.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const time = new Date(d).getTime();
+    if (typeof d !== 'string' || isNaN(time) || !Number.isInteger(id)) throw new Error();
+    return { time, id };
+  } catch {
+    throw new Error('Invalid article cursor');
+  }
+}
+
+/**
+ * One page of articles, newest first; same contract as db.getArticlesPage
+ */
+export async function getArticlesPage(filters = {}, { pageSize = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+  const limit = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const after = cursor ? decodeCursor(cursor) : null;
+  const query = filters.keyword ? parseQuery(filters.keyword) : null;
+
+  const matches = [...articles.values()]
+    .filter(record => matchesFilters(record, filters, query))
+    .filter(record => !after || sortTime(record) < after.time || (sortTime(record) === after.time && record.id < after.id))
+    .sort(compareNewestFirst);
+
+  const page = matches.slice(0, limit);
+  const nextCursor = matches.length > limit ? encodeCursor(page[page.length - 1]) : null;
+  return { articles: page.map(toArticle), nextCursor };
+}
+
+/**
+ * Stream every matching article, newest first, a page at a time
+ */
+export async function* iterateArticles(filters = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  let cursor = null;
+  do {
+    const page = await getArticlesPage(filters, { pageSize, cursor });
+    yield* page.articles;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+/**
+ * Every article matching the filters
+ */
+export async function getArticles(filters = {}) {
+  const found = [];
+  for await (const article of iterateArticles(filters)) {
+    found.push(article);
+  }
+  console.log(`[MemoryStore] Retrieved ${found.length} articles`);
+  return found;
+}
+
+/**
+ * Lowercase a word and strip common English suffixes so "rates" matches "rate"
+ */
+function stem(word) {
+  let stemmed = word.toLowerCase();
+  if (stemmed.length > 3) stemmed = stemmed.replace(/([^s])s$/, '$1');
+  if (stemmed.length > 5) stemmed = stemmed.replace(/ing$/, '');
+  if (stemmed.length > 4) stemmed = stemmed.replace(/ed$/, '');
+  if (stemmed.length > 3) stemmed = stemmed.replace(/e$/, '');
+  return stemmed;
+}
+
+function words(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Parse web-search syntax ("quoted phrases", -excluded, OR) into
+ * alternatives, each a list of terms that must all match
+ * @returns {Array<Array<{words: Array<string>, negated: boolean}>>}
+ */
+function parseQuery(text) {
+  const alternatives = [[]];
+  for (const match of (text || '').matchAll(/(-?)"([^"]*)"|(\S+)/g)) {
+    const [, minus, phrase, bare] = match;
+    if (bare && bare.toUpperCase() === 'OR') {
+      alternatives.push([]);
+      continue;
+    }
+    const negated = minus === '-' || (bare || '').startsWith('-');
+    const termWords = words(phrase ?? bare).map(stem);
+    if (termWords.length > 0) alternatives[alternatives.length - 1].push({ words: termWords, negated });
+  }
+  return alternatives.filter(terms => terms.some(term => !term.negated));
+}
+
+function containsPhrase(stemmed, phrase) {
+  for (let i = 0; i + phrase.length <= stemmed.length; i++) {
+    if (phrase.every((word, j) => stemmed[i + j] === word)) return true;
+  }
+  return false;
+}
+
+function searchableWords(record) {
+  return [record.title, record.summary, record.originalContent].flatMap(words).map(stem);
+}
+
+function matchesQuery(record, query) {
+  const stemmed = searchableWords(record);
+  return query.some(terms => terms.every(term => containsPhrase(stemmed, term.words) !== term.negated));
+}
+
+/**
+ * Weighted match count: title 1.0, summary 0.4, body 0.1, damped by length
+ */
+function rankRecord(record, query) {
+  const positive = new Set(query.flat().filter(term => !term.negated).flatMap(term => term.words));
+  const fields = [[record.title, 1.0], [record.summary, 0.4], [record.originalContent, 0.1]];
+  let score = 0;
+  let length = 0;
+  for (const [text, weight] of fields) {
+    const stemmed = words(text).map(stem);
+    length += stemmed.length;
+    score += weight * stemmed.filter(word => positive.has(word)).length;
+  }
+  return score / (1 + Math.log(1 + length));
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML-escape text and wrap words matching the query in <mark>, keeping at
+ * most `maxWords` words around the first match
+ */
+function highlight(text, query, maxWords = Infinity) {
+  if (!text) return '';
+  const positive = new Set(query.flat().filter(term => !term.negated).flatMap(term => term.words));
+  const tokens = text.split(/(\s+)/).filter(Boolean);
+  const isHit = token => words(token).some(word => positive.has(stem(word)));
+
+  let start = 0;
+  let end = tokens.length;
+  if (maxWords !== Infinity) {
+    const first = Math.max(tokens.findIndex(isHit), 0);
+    start = Math.max(first - 10, 0);
+    end = Math.min(start + maxWords * 2, tokens.length);
+  }
+
+  const body = tokens.slice(start, end)
+    .map(token => (isHit(token) ? `<mark>${escapeHtml(token)}</mark>` : escapeHtml(token)))
+    .join('');
+  return `${start > 0 ? '… ' : ''}${body.trim()}${end < tokens.length ? ' …' : ''}`;
+}
+
+/**
+ * Ranked search over title, summary and body; same contract as db.searchArticles
+ */
+export async function searchArticles(text, filters = {}) {
+  const query = parseQuery(text);
+  const { source, category, startDate, endDate } = filters;
+  const matches = [...articles.values()]
+    .filter(record => query.length > 0 && matchesFilters(record, { source, category, startDate, endDate }, query))
+    .map(record => ({ record, rank: rankRecord(record, query) }))
+    .sort((a, b) => (b.rank - a.rank) || (sortTime(b.record) - sortTime(a.record)));
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  const results = matches.slice(offset, offset + limit).map(({ record, rank }) => ({
+    id: record.id,
+    title: record.title,
+    link: record.link,
+    source: record.source,
+    category: record.category,
+    type: record.type,
+    pubDate: record.pubDate,
+    paywalled: record.paywalled,
+    rank,
+    titleHighlight: highlight(record.title, query),
+    snippet: highlight(record.originalContent || record.summary, query, SNIPPET_WORDS)
+  }));
+
+  console.log(`[MemoryStore] Search "${text}": ${matches.length} matches`);
+  return { total: matches.length, results };
+}
+
+/**
+ * Advance the digest watermark for the articles included in a digest
+ */
+export async function markArticlesDigested(ids, digestedAt = new Date()) {
+  let marked = 0;
+  for (const id of ids || []) {
+    const record = articles.get(id);
+    if (record) {
+      record.lastDigestedAt = new Date(digestedAt);
+      marked++;
+    }
+  }
+  if (marked > 0) console.log(`[MemoryStore] Marked ${marked} articles as digested`);
+  return marked;
+}
+
+/**
+ * Articles first seen since a cutoff that haven't been assigned to a story yet, oldest first
+ */
+export async function getUnclusteredArticles(since) {
+  const cutoff = new Date(since);
+  return [...articles.values()]
+    .filter(record => !record.storyId && record.firstSeenAt >= cutoff)
+    .sort((a, b) => (a.firstSeenAt - b.firstSeenAt) || (a.id - b.id))
+    .map(toArticle);
+}
+
+/**
+ * MinHash signatures of clustered articles first seen since a cutoff
+ */
+export async function getStorySignatures(since) {
+  const cutoff = new Date(since);
+  return [...articles.values()]
+    .filter(record => record.storyId && record.minhash && record.firstSeenAt >= cutoff)
+    .map(record => ({ id: record.id, storyId: record.storyId, minhash: record.minhash }));
+}
+
+/**
+ * Put an article in a story, starting a new story when storyId is null
+ */
+export async function assignArticleToStory(articleId, storyId, minhash) {
+  const record = articles.get(articleId);
+  if (!record) throw new Error(`Article ${articleId} not found`);
+
+  let id = storyId;
+  if (!id) {
+    id = nextStoryId++;
+    stories.set(id, { id, canonicalArticleId: null, articleCount: 0, sourceCount: 0, createdAt: new Date(), updatedAt: new Date() });
+  }
+  record.storyId = id;
+  record.minhash = minhash;
+  return id;
+}
+
+/**
+ * Better canonical article first: readable, full text, longer, earliest seen
+ */
+function compareCanonical(a, b) {
+  return (Number(a.paywalled) - Number(b.paywalled)) ||
+    (Number(b.hasFullContent) - Number(a.hasFullContent)) ||
+    ((b.originalContent || '').length - (a.originalContent || '').length) ||
+    (a.firstSeenAt - b.firstSeenAt) ||
+    (a.id - b.id);
+}
+
+/**
+ * Recount stories and pick each one's canonical article
+ */
+export async function refreshStories(storyIds) {
+  for (const storyId of storyIds || []) {
+    const story = stories.get(storyId);
+    if (!story) continue;
+    const members = [...articles.values()].filter(record => record.storyId === storyId);
+    story.canonicalArticleId = members.length > 0 ? [...members].sort(compareCanonical)[0].id : null;
+    story.articleCount = members.length;
+    story.sourceCount = new Set(members.map(record => record.source)).size;
+    story.updatedAt = new Date();
+  }
+}
+
+/**
+ * Every article in the given stories, plus each story's canonical article id
+ */
+export async function getStoryMembers(storyIds) {
+  const wanted = new Set(storyIds || []);
+  const members = new Map();
+  const ordered = [...articles.values()]
+    .filter(record => wanted.has(record.storyId) && stories.has(record.storyId))
+    .sort((a, b) => (a.firstSeenAt - b.firstSeenAt) || (a.id - b.id));
+
+  for (const record of ordered) {
+    if (!members.has(record.storyId)) {
+      members.set(record.storyId, { canonicalArticleId: stories.get(record.storyId).canonicalArticleId, articles: [] });
+    }
+    members.get(record.storyId).articles.push({
+      id: record.id, title: record.title, link: record.link, source: record.source, firstSeenAt: record.firstSeenAt
+    });
+  }
+  return members;
+}
+
+/**
+ * Get unique sources
+ */
+export async function getSources() {
+  return [...new Set([...articles.values()].map(record => record.source).filter(Boolean))].sort();
+}
+
+/**
+ * Move articles past their retention period into the cold tier; same policy
+ * rules as db.archiveExpiredArticles
+ */
+export async function archiveExpiredArticles({ defaultDays = null, categories = {}, pinnedIds = [] } = {}) {
+  const pinnedSet = new Set(pinnedIds);
+  const now = Date.now();
+  let archived = 0;
+  let pinned = 0;
+
+  for (const [id, record] of articles) {
+    const days = Object.hasOwn(categories, record.category) ? categories[record.category] : defaultDays;
+    if (days === null || days === undefined || !(record.pubDate < new Date(now - days * 24 * 60 * 60 * 1000))) continue;
+    if (pinnedSet.has(id)) {
+      pinned++;
+      continue;
+    }
+    const { minhash, storyId, ...kept } = record;
+    archivedArticles.set(id, { ...kept, storyId: null, archived: true, archivedAt: new Date() });
+    articles.delete(id);
+    idsByCanonicalUrl.delete(record.canonicalUrl);
+    archived++;
+  }
+
+  const liveStories = new Set([...articles.values()].map(record => record.storyId));
+  for (const storyId of stories.keys()) {
+    if (!liveStories.has(storyId)) stories.delete(storyId);
+  }
+
+  console.log(`[MemoryStore] Archived ${archived} expired articles (${pinned} pinned by digests)`);
+  return { archived, pinned };
+}
+
+/**
+ * Get a single article by ID (for reader endpoint), including archived ones
+ */
+export async function getArticleById(id) {
+  const record = articles.get(Number(id));
+  if (record) return toArticle(record);
+  const archived = archivedArticles.get(Number(id));
+  return archived ? { ...archived } : null;
+}
+
+/**
+ * Get the cached conditional-GET validators for a feed
+ */
+export async function getFeedCache(source) {
+  const health = sourceHealth.get(source);
+  return health ? { feedUrl: health.feedUrl, etag: health.etag, lastModified: health.lastModified } : null;
+}
+
+/**
+ * Record the outcome of a single source fetch; same rules as db.recordSourceFetch
+ */
+export async function recordSourceFetch(source, outcome) {
+  const success = !outcome.error;
+  const now = new Date();
+  const previous = sourceHealth.get(source.name) || { etag: null, lastModified: null, lastItemCount: null, consecutiveFailures: 0,
+    lastSuccessAt: null, lastNewItemAt: null, trackedSince: now };
+
+  sourceHealth.set(source.name, {
+    ...previous,
+    source: source.name,
+    feedUrl: source.rss || null,
+    etag: success ? outcome.etag || null : previous.etag,
+    lastModified: success ? outcome.lastModified || null : previous.lastModified,
+    lastStatus: outcome.status || null,
+    lastItemCount: outcome.itemCount ?? previous.lastItemCount,
+    lastNewCount: outcome.newItemCount || 0,
+    lastLatencyMs: outcome.latencyMs ?? null,
+    lastError: outcome.error || null,
+    consecutiveFailures: success ? 0 : previous.consecutiveFailures + 1,
+    lastFetchedAt: now,
+    lastSuccessAt: success ? now : previous.lastSuccessAt,
+    lastNewItemAt: outcome.newItemCount > 0 ? now : previous.lastNewItemAt
+  });
+}
+
+/**
+ * Get the latest fetch outcome for every tracked source
+ */
+export async function getSourceHealth() {
+  return [...sourceHealth.values()]
+    .sort((a, b) => a.source.localeCompare(b.source))
+    .map(health => ({ ...health }));
+}
+
+/**
+ * Keep a digest in the in-memory archive
+ */
+export async function appendDigest(digestObj) {
+  digests.push(JSON.parse(JSON.stringify(digestObj)));
+  console.log(`[MemoryStore] Digest archived (${digests.length} in memory)`);
+}
+
+/**
+ * The last N archived digests, newest first
+ */
+export async function readRecentDigests(count = 5) {
+  return digests.slice(-count).reverse();
+}
+
+/**
+ * Record the start of a digest pipeline run
+ */
+export async function startRun() {
+  const id = nextRunId++;
+  runs.push({ id, startedAt: new Date(), finishedAt: null, status: 'running', articleCount: null, storyCount: null,
+    emailStatus: null, error: null });
+  return id;
+}
+
+/**
+ * Record how a digest pipeline run ended
+ */
+export async function finishRun(id, outcome) {
+  const run = runs.find(r => r.id === id);
+  if (!run) return;
+  Object.assign(run, {
+    finishedAt: new Date(),
+    status: outcome.status,
+    articleCount: outcome.articleCount ?? null,
+    storyCount: outcome.storyCount ?? null,
+    emailStatus: outcome.emailStatus || null,
+    error: outcome.error || null
+  });
+}
+
+/**
+ * Most recent digest pipeline runs, newest first
+ */
+export async function getRecentRuns(limit = 20) {
+  return runs.slice(-limit).reverse().map(run => {
+    const calls = llmUsage.filter(entry => entry.runId === run.id);
+    return {
+      ...run,
+      llmUsage: {
+        calls: calls.length,
+        inputTokens: calls.reduce((sum, entry) => sum + (entry.inputTokens || 0), 0),
+        outputTokens: calls.reduce((sum, entry) => sum + (entry.outputTokens || 0), 0),
+        costUsd: calls.reduce((sum, entry) => sum + (entry.costUsd || 0), 0)
+      }
+    };
+  });
+}
+
+/**
+ * Record one LLM call
+ */
+export async function recordLlmUsage(entry) {
+  llmUsage.push({ ...entry, runId: entry.runId || null, retries: entry.retries || 0, createdAt: new Date() });
+}
+
+/**
+ * LLM usage totals per day or month and task, newest period first
+ */
+export async function getLlmUsageTotals({ period, since }) {
+  const cutoff = new Date(since);
+  const totals = new Map();
+  for (const entry of llmUsage) {
+    if (entry.createdAt < cutoff) continue;
+    const key = entry.createdAt.toISOString().slice(0, period === 'month' ? 7 : 10);
+    const id = `${key}|${entry.task}`;
+    if (!totals.has(id)) {
+      totals.set(id, { period: key, task: entry.task, calls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, retries: 0, costUsd: 0 });
+    }
+    const total = totals.get(id);
+    total.calls++;
+    if (entry.status !== 'ok') total.failedCalls++;
+    total.inputTokens += entry.inputTokens || 0;
+    total.outputTokens += entry.outputTokens || 0;
+    total.retries += entry.retries || 0;
+    total.costUsd += entry.costUsd || 0;
+  }
+  return [...totals.values()].sort((a, b) => b.period.localeCompare(a.period) || a.task.localeCompare(b.task));
+}
+
+/**
+ * Store competitive signals, skipping any already stored (same competitor
+ * and signal hash)
+ * @returns {Promise<number>} Signals newly stored
+ */
+export async function saveCompetitorSignals(signals) {
+  let saved = 0;
+  for (const entry of signals) {
+    if (competitorSignals.some(s => s.competitorSlug === entry.competitorSlug && s.signalHash === entry.signalHash)) continue;
+    competitorSignals.push({
+      ...JSON.parse(JSON.stringify(entry)),
+      id: competitorSignals.length + 1,
+      implication: entry.implication || null,
+      url: entry.url || null,
+      articles: entry.articles || [],
+      profile: entry.profile || null,
+      runId: entry.runId || null,
+      createdAt: new Date()
+    });
+    saved++;
+  }
+  return saved;
+}
+
+function inDateRange(entry, { from = null, to = null }) {
+  return (!from || entry.digestDate >= from) && (!to || entry.digestDate < to);
+}
+
+function newestSignalFirst(a, b) {
+  return b.digestDate.localeCompare(a.digestDate) || b.id - a.id;
+}
+
+/**
+ * Signal counts per competitor, optionally within a range of digest dates
+ */
+export async function getCompetitorSignalCounts(range = {}) {
+  const counts = new Map();
+  for (const entry of [...competitorSignals].sort(newestSignalFirst)) {
+    if (!inDateRange(entry, range)) continue;
+    if (!counts.has(entry.competitorSlug)) {
+      counts.set(entry.competitorSlug, { slug: entry.competitorSlug, latestName: entry.competitorName, signalCount: 0,
+        firstDate: entry.digestDate, lastDate: entry.digestDate });
+    }
+    const count = counts.get(entry.competitorSlug);
+    count.signalCount++;
+    count.firstDate = entry.digestDate;
+  }
+  return [...counts.values()];
+}
+
+/**
+ * One competitor's signals, newest digest first
+ */
+export async function getCompetitorSignals(slug, range = {}) {
+  return competitorSignals
+    .filter(entry => entry.competitorSlug === slug && inDateRange(entry, range))
+    .sort(newestSignalFirst)
+    .map(({ signalHash, ...entry }) => ({ ...entry, articles: entry.articles.map(article => ({ ...article })) }));
+}
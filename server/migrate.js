@@ -0,0 +1,52 @@
+/**
+ * Database schema migrations
+ *
+ * Usage:
+ *   node migrate.js status          List applied and pending migrations
+ *   node migrate.js up [version]    Apply pending migrations (optionally only up to a version)
+ *   node migrate.js down [steps]    Roll back the last applied migration(s)
+ *
+ * Migrations live in migrations/NNN_name.js and are recorded in schema_migrations.
+ */
+
+import 'dotenv/config';
+import { getMigrationStatus, migrateUp, migrateDown } from './migrator.js';
+
+function usage() {
+  console.error('Usage: node migrate.js status | up [version] | down [steps]');
+  process.exit(1);
+}
+
+function formatDate(value) {
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+async function migrate() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const number = arg !== undefined ? parseInt(arg, 10) : undefined;
+  if (Number.isNaN(number) || (number !== undefined && number < 1)) usage();
+
+  try {
+    if (command === 'status') {
+      const { applied, pending, missing } = await getMigrationStatus();
+      for (const m of applied) console.log(`  applied  ${m.file}  (${formatDate(m.appliedAt)})`);
+      for (const m of pending) console.log(`  pending  ${m.file}`);
+      for (const m of missing) console.log(`  missing  ${String(m.version).padStart(3, '0')}_${m.name}.js  (applied ${formatDate(m.appliedAt)}, file not found)`);
+      console.log(`\n[Migrate] ${applied.length} applied, ${pending.length} pending`);
+    } else if (command === 'up') {
+      const applied = await migrateUp(number);
+      console.log(applied.length > 0 ? `[Migrate] Applied ${applied.length} migration(s)` : '[Migrate] Schema is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrateDown(number);
+      console.log(`[Migrate] Rolled back ${reverted.length} migration(s)`);
+    } else {
+      usage();
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('[Migrate] Error:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,42 @@
+/**
+ * Articles table with its content, extraction and paywall columns.
+ * Databases created before migrations existed already have some of these,
+ * so everything is IF NOT EXISTS.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS articles (
+      id SERIAL PRIMARY KEY,
+      link VARCHAR(2048) UNIQUE NOT NULL,
+      title TEXT NOT NULL,
+      source VARCHAR(255),
+      category VARCHAR(255),
+      type VARCHAR(50) DEFAULT 'article',
+      summary TEXT,
+      original_content TEXT,
+      image_url TEXT,
+      pub_date TIMESTAMP,
+      saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS category VARCHAR(255);
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS image_url TEXT;
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS type VARCHAR(50) DEFAULT 'article';
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS content_html TEXT;
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS has_full_content BOOLEAN DEFAULT false;
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS dateline TEXT;
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS extraction_method VARCHAR(50);
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS paywalled BOOLEAN DEFAULT false;
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS paywall_reason TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_source ON articles(source);
+    CREATE INDEX IF NOT EXISTS idx_category ON articles(category);
+    CREATE INDEX IF NOT EXISTS idx_pub_date ON articles(pub_date);
+    CREATE INDEX IF NOT EXISTS idx_saved_at ON articles(saved_at);
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS articles');
+}
@@ -0,0 +1,36 @@
+/**
+ * First-seen time and digest watermark. When the watermark column is first
+ * added, everything seen before the last 24 hours was already covered by the
+ * old pub_date window, so it is marked as digested.
+ */
+export async function up(client) {
+  const watermarkCheck = await client.query(
+    `SELECT 1 FROM information_schema.columns WHERE table_name = 'articles' AND column_name = 'last_digested_at'`
+  );
+
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS last_digested_at TIMESTAMP;
+  `);
+
+  if (watermarkCheck.rows.length === 0) {
+    await client.query(`UPDATE articles SET first_seen_at = COALESCE(created_at, first_seen_at)`);
+    await client.query(
+      `UPDATE articles SET last_digested_at = first_seen_at WHERE first_seen_at < NOW() - INTERVAL '24 hours'`
+    );
+  }
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_first_seen_at ON articles(first_seen_at);
+    CREATE INDEX IF NOT EXISTS idx_undigested ON articles(first_seen_at) WHERE last_digested_at IS NULL;
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_undigested;
+    DROP INDEX IF EXISTS idx_first_seen_at;
+    ALTER TABLE articles DROP COLUMN IF EXISTS last_digested_at;
+    ALTER TABLE articles DROP COLUMN IF EXISTS first_seen_at;
+  `);
+}
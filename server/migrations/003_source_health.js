@@ -0,0 +1,27 @@
+/**
+ * Per-source fetch outcomes and conditional GET validators
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS source_health (
+      source VARCHAR(255) PRIMARY KEY,
+      feed_url VARCHAR(2048),
+      etag TEXT,
+      last_modified TEXT,
+      last_status INTEGER,
+      last_item_count INTEGER DEFAULT 0,
+      last_new_count INTEGER DEFAULT 0,
+      last_latency_ms INTEGER,
+      last_error TEXT,
+      consecutive_failures INTEGER DEFAULT 0,
+      last_fetched_at TIMESTAMP,
+      last_success_at TIMESTAMP,
+      last_new_item_at TIMESTAMP,
+      tracked_since TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS source_health');
+}
@@ -0,0 +1,45 @@
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const OUTPUT_PATH = path.join(DATA_DIR, 'signal-archive-legacy.jsonl');
+
+/**
+ * Move the old insights_archive table out of Postgres: export every row to
+ * data/signal-archive-legacy.jsonl, then drop the table. Formerly the
+ * one-off migrate-archive.js script. No-op when the table is already gone.
+ * Irreversible: the JSONL export is the only copy afterwards.
+ */
+export async function up(client) {
+  const tableCheck = await client.query(`
+    SELECT EXISTS (
+      SELECT FROM information_schema.tables WHERE table_name = 'insights_archive'
+    )
+  `);
+  if (!tableCheck.rows[0].exists) return;
+
+  const result = await client.query(
+    'SELECT id, category, tldr, recommended_actions, themes, article_count, date_range_start, date_range_end, generated_at FROM insights_archive ORDER BY generated_at ASC'
+  );
+
+  if (result.rows.length > 0) {
+    await mkdir(DATA_DIR, { recursive: true });
+    const lines = result.rows.map(row => JSON.stringify({
+      id: row.id,
+      category: row.category,
+      tldr: row.tldr,
+      recommended_actions: row.recommended_actions,
+      themes: row.themes,
+      article_count: row.article_count,
+      date_range_start: row.date_range_start,
+      date_range_end: row.date_range_end,
+      generated_at: row.generated_at,
+    }) + '\n');
+    await appendFile(OUTPUT_PATH, lines.join(''), 'utf8');
+    console.log(`[Migrate] Exported ${result.rows.length} insights_archive entries to ${OUTPUT_PATH}`);
+  }
+
+  await client.query('DROP TABLE insights_archive');
+}
@@ -0,0 +1,21 @@
+/**
+ * Weighted full-text search vector over title (A), summary (B) and body (C)
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(summary, '')), 'B') ||
+      setweight(to_tsvector('english', coalesce(original_content, '')), 'C')
+    ) STORED;
+
+    CREATE INDEX idx_search_vector ON articles USING GIN (search_vector);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_search_vector;
+    ALTER TABLE articles DROP COLUMN IF EXISTS search_vector;
+  `);
+}
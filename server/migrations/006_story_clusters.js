@@ -0,0 +1,31 @@
+/**
+ * Stories: groups of near-duplicate articles (syndicated or re-reported
+ * coverage of the same announcement), each with a canonical representative.
+ * articles.minhash holds the signature used to match new articles.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE stories (
+      id SERIAL PRIMARY KEY,
+      canonical_article_id INTEGER REFERENCES articles(id) ON DELETE SET NULL,
+      article_count INTEGER DEFAULT 0,
+      source_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE articles ADD COLUMN story_id INTEGER REFERENCES stories(id) ON DELETE SET NULL;
+    ALTER TABLE articles ADD COLUMN minhash INTEGER[];
+
+    CREATE INDEX idx_story_id ON articles(story_id);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_story_id;
+    ALTER TABLE articles DROP COLUMN IF EXISTS minhash;
+    ALTER TABLE articles DROP COLUMN IF EXISTS story_id;
+    DROP TABLE IF EXISTS stories;
+  `);
+}
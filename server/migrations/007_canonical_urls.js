@@ -0,0 +1,95 @@
+import { canonicalizeUrl } from '../urlCanonicalizer.js';
+
+/**
+ * Key articles by canonical URL instead of the raw link, merging rows that
+ * turn out to be the same article. Each group keeps its earliest row, taking
+ * the fullest body among the duplicates and the earliest first-seen / latest
+ * digested times. Removed ids are recorded in article_redirects so reader
+ * links in digests that were already sent keep working.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN canonical_url VARCHAR(2048);
+
+    CREATE TABLE article_redirects (
+      old_id INTEGER PRIMARY KEY,
+      article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+      merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  const { rows } = await client.query('SELECT id, link FROM articles ORDER BY id');
+  for (const row of rows) {
+    await client.query('UPDATE articles SET canonical_url = $1 WHERE id = $2', [canonicalizeUrl(row.link), row.id]);
+  }
+
+  const groups = await client.query(`
+    SELECT canonical_url, array_agg(id ORDER BY id) AS ids
+    FROM articles GROUP BY canonical_url HAVING COUNT(*) > 1
+  `);
+
+  for (const { ids } of groups.rows) {
+    const [keepId, ...duplicateIds] = ids;
+
+    await client.query(`
+      WITH richest AS (
+        SELECT * FROM articles WHERE id = ANY($1)
+        ORDER BY has_full_content DESC, length(COALESCE(original_content, '')) DESC, id ASC
+        LIMIT 1
+      ), times AS (
+        SELECT MIN(first_seen_at) AS first_seen_at, MAX(last_digested_at) AS last_digested_at,
+               (array_agg(story_id ORDER BY id) FILTER (WHERE story_id IS NOT NULL))[1] AS story_id
+        FROM articles WHERE id = ANY($1)
+      )
+      UPDATE articles a SET
+        summary = r.summary,
+        original_content = r.original_content,
+        content_html = r.content_html,
+        has_full_content = r.has_full_content,
+        extraction_method = r.extraction_method,
+        paywalled = r.paywalled,
+        paywall_reason = r.paywall_reason,
+        image_url = COALESCE(a.image_url, r.image_url),
+        dateline = COALESCE(a.dateline, r.dateline),
+        first_seen_at = t.first_seen_at,
+        last_digested_at = t.last_digested_at,
+        story_id = COALESCE(a.story_id, t.story_id)
+      FROM richest r, times t
+      WHERE a.id = $2
+    `, [ids, keepId]);
+
+    await client.query(
+      `INSERT INTO article_redirects (old_id, article_id) SELECT unnest($1::int[]), $2`,
+      [duplicateIds, keepId]
+    );
+    await client.query('DELETE FROM articles WHERE id = ANY($1)', [duplicateIds]);
+  }
+
+  if (groups.rows.length > 0) {
+    const merged = groups.rows.reduce((sum, group) => sum + group.ids.length - 1, 0);
+    console.log(`[Migrate] Merged ${merged} duplicate articles into ${groups.rows.length}`);
+
+    // Recount stories that lost members
+    await client.query(`
+      UPDATE stories s SET
+        canonical_article_id = COALESCE(canonical_article_id, (SELECT MIN(id) FROM articles a WHERE a.story_id = s.id)),
+        article_count = (SELECT COUNT(*) FROM articles a WHERE a.story_id = s.id),
+        source_count = (SELECT COUNT(DISTINCT source) FROM articles a WHERE a.story_id = s.id)
+    `);
+  }
+
+  await client.query(`
+    ALTER TABLE articles ALTER COLUMN canonical_url SET NOT NULL;
+    CREATE UNIQUE INDEX idx_canonical_url ON articles(canonical_url);
+    ALTER TABLE articles DROP CONSTRAINT IF EXISTS articles_link_key;
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE articles ADD CONSTRAINT articles_link_key UNIQUE (link);
+    DROP INDEX IF EXISTS idx_canonical_url;
+    ALTER TABLE articles DROP COLUMN IF EXISTS canonical_url;
+    DROP TABLE IF EXISTS article_redirects;
+  `);
+}
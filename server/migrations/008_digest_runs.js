@@ -0,0 +1,21 @@
+/**
+ * One row per digest pipeline run, with its outcome
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS digest_runs (
+      id SERIAL PRIMARY KEY,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP,
+      status VARCHAR(20) DEFAULT 'running',
+      article_count INTEGER,
+      story_count INTEGER,
+      email_status VARCHAR(50),
+      error TEXT
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS digest_runs');
+}
@@ -0,0 +1,57 @@
+import { gunzipSync } from 'zlib';
+
+/**
+ * Cold tier for articles past their retention period. Metadata stays in
+ * columns; the text and remaining fields are gzip'd JSON. Redirects may now
+ * point at archived ids, so they no longer cascade from articles.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS archived_articles (
+      id INTEGER PRIMARY KEY,
+      canonical_url VARCHAR(2048),
+      link VARCHAR(2048) NOT NULL,
+      title TEXT NOT NULL,
+      source VARCHAR(255),
+      category VARCHAR(255),
+      type VARCHAR(50) DEFAULT 'article',
+      pub_date TIMESTAMP,
+      first_seen_at TIMESTAMP,
+      last_digested_at TIMESTAMP,
+      archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      content BYTEA NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_archived_articles_canonical_url ON archived_articles(canonical_url);
+
+    ALTER TABLE article_redirects DROP CONSTRAINT IF EXISTS article_redirects_article_id_fkey;
+  `);
+}
+
+/**
+ * Move archived articles back into articles (skipping any whose URL has since
+ * been stored again) and restore the redirect foreign key
+ */
+export async function down(client) {
+  const { rows } = await client.query('SELECT * FROM archived_articles ORDER BY id');
+  for (const row of rows) {
+    const content = JSON.parse(gunzipSync(row.content).toString('utf8'));
+    await client.query(
+      `INSERT INTO articles (id, link, canonical_url, title, source, category, type, pub_date, first_seen_at, last_digested_at,
+                             summary, original_content, image_url, content_html, has_full_content, dateline, extraction_method,
+                             paywalled, paywall_reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+       ON CONFLICT DO NOTHING`,
+      [row.id, row.link, row.canonical_url, row.title, row.source, row.category, row.type, row.pub_date, row.first_seen_at,
+        row.last_digested_at, content.summary, content.originalContent, content.imageUrl, content.contentHtml,
+        content.hasFullContent || false, content.dateline, content.extractionMethod, content.paywalled || false, content.paywallReason]
+    );
+  }
+
+  await client.query(`
+    DELETE FROM article_redirects r WHERE NOT EXISTS (SELECT 1 FROM articles a WHERE a.id = r.article_id);
+    ALTER TABLE article_redirects ADD CONSTRAINT article_redirects_article_id_fkey
+      FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE;
+    DROP TABLE IF EXISTS archived_articles;
+  `);
+}
@@ -0,0 +1,20 @@
+/**
+ * Field-level history of articles whose source changed them after we first
+ * saw them. No foreign key, so history outlives archival to the cold tier.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS article_revisions (
+      id SERIAL PRIMARY KEY,
+      article_id INTEGER NOT NULL,
+      revised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      changes JSONB NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_article_revisions_article ON article_revisions(article_id, revised_at);
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS article_revisions');
+}
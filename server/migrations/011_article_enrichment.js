@@ -0,0 +1,31 @@
+/**
+ * Per-article enrichment from the model: summary, companies mentioned, topic
+ * tags and a relevance score. enrichment_hash is the content hash the
+ * enrichment was made from, so unchanged articles are never sent again and
+ * identical copies of one text share a single enrichment.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS ai_summary TEXT;
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS companies TEXT[];
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS topic_tags TEXT[];
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS relevance_score SMALLINT;
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS enrichment_hash VARCHAR(64);
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_articles_enrichment_hash ON articles(enrichment_hash);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_articles_enrichment_hash;
+    ALTER TABLE articles
+      DROP COLUMN IF EXISTS ai_summary,
+      DROP COLUMN IF EXISTS companies,
+      DROP COLUMN IF EXISTS topic_tags,
+      DROP COLUMN IF EXISTS relevance_score,
+      DROP COLUMN IF EXISTS enrichment_hash,
+      DROP COLUMN IF EXISTS enriched_at;
+  `);
+}
@@ -0,0 +1,28 @@
+/**
+ * One row per LLM call: tokens, latency, retries and estimated cost,
+ * attributed to the pipeline run (when there is one) and the task
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER,
+      task VARCHAR(50) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      input_tokens INTEGER,
+      output_tokens INTEGER,
+      latency_ms INTEGER,
+      retries INTEGER DEFAULT 0,
+      cost_usd NUMERIC(12, 6),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at);
+    CREATE INDEX IF NOT EXISTS idx_llm_usage_run ON llm_usage(run_id);
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS llm_usage');
+}
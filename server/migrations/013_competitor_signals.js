@@ -0,0 +1,33 @@
+/**
+ * Competitive signals from every digest, one row per competitor named in a
+ * signal. competitor_slug is the normalized entity (see competitors.json),
+ * competitor_name the name as the digest wrote it, and articles the source
+ * articles ({ id, title, source, link }) the signal was linked to.
+ * signal_hash identifies the signal within its digest, so archived digests
+ * can be imported again without duplicating rows.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS competitor_signals (
+      id SERIAL PRIMARY KEY,
+      competitor_slug VARCHAR(100) NOT NULL,
+      competitor_name TEXT NOT NULL,
+      signal TEXT NOT NULL,
+      implication TEXT,
+      url TEXT,
+      articles JSONB NOT NULL DEFAULT '[]',
+      digest_date DATE NOT NULL,
+      profile VARCHAR(100),
+      run_id INTEGER,
+      signal_hash VARCHAR(64) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (competitor_slug, signal_hash)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_competitor_signals_slug_date ON competitor_signals(competitor_slug, digest_date DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS competitor_signals');
+}
@@ -0,0 +1,12 @@
+/**
+ * How many times full-text extraction has been retried for a stored teaser,
+ * so transient failures (and teasers stored before extraction existed) are
+ * retried a bounded number of times
+ */
+export async function up(client) {
+  await client.query('ALTER TABLE articles ADD COLUMN IF NOT EXISTS extraction_attempts SMALLINT NOT NULL DEFAULT 0');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE articles DROP COLUMN IF EXISTS extraction_attempts');
+}
@@ -0,0 +1,13 @@
+/**
+ * Store llm_usage.created_at with its time zone, so monthly budget totals
+ * (which start at midnight UTC) don't shift with the database time zone.
+ * Existing values were written in the session time zone, which is how the
+ * conversion reads them.
+ */
+export async function up(client) {
+  await client.query('ALTER TABLE llm_usage ALTER COLUMN created_at TYPE TIMESTAMPTZ');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE llm_usage ALTER COLUMN created_at TYPE TIMESTAMP');
+}
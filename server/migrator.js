@@ -0,0 +1,169 @@
+import pkg from 'pg';
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const { Client } = pkg;
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key so two processes never migrate at the same time
+const MIGRATION_LOCK_KEY = 728150;
+
+/**
+ * Migration files in version order. Each is `NNN_name.js` exporting
+ * `up(client)` and, unless it is irreversible, `down(client)`.
+ * @returns {Promise<Array<{version: number, name: string, file: string}>>}
+ */
+export async function listMigrations() {
+  const files = await readdir(MIGRATIONS_DIR);
+  const migrations = files
+    .map(file => {
+      const match = file.match(MIGRATION_FILE);
+      return match ? { version: parseInt(match[1], 10), name: match[2], file } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version} (${migration.file})`);
+    }
+    versions.add(migration.version);
+  }
+  return migrations;
+}
+
+async function loadMigration(migration) {
+  return import(pathToFileURL(path.join(MIGRATIONS_DIR, migration.file)).href);
+}
+
+/**
+ * Run a function with a connected client holding the migration lock
+ */
+async function withClient(fn) {
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+async function readStatus(client) {
+  const migrations = await listMigrations();
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    applied: migrations
+      .filter(m => applied.has(m.version))
+      .map(m => ({ ...m, appliedAt: applied.get(m.version).applied_at })),
+    pending: migrations.filter(m => !applied.has(m.version)),
+    // Recorded as applied but the file is gone (e.g. running an older checkout)
+    missing: result.rows
+      .filter(row => !known.has(row.version))
+      .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+  };
+}
+
+/**
+ * Applied, pending and missing migrations
+ * @returns {Promise<{applied: Array, pending: Array, missing: Array}>}
+ */
+export async function getMigrationStatus() {
+  return withClient(readStatus);
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {number} [target] - Stop after this version (default: apply all)
+ * @returns {Promise<Array>} Migrations applied
+ */
+export async function migrateUp(target = Infinity) {
+  return withClient(async (client) => {
+    const { pending } = await readStatus(client);
+    const toApply = pending.filter(m => m.version <= target);
+    const applied = [];
+
+    for (const migration of toApply) {
+      const { up } = await loadMigration(migration);
+      if (typeof up !== 'function') throw new Error(`${migration.file} has no up()`);
+
+      console.log(`[Migrate] Applying ${migration.file}...`);
+      await client.query('BEGIN');
+      try {
+        await up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`${migration.file} failed: ${error.message}`);
+      }
+      applied.push(migration);
+    }
+
+    return applied;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations, newest first
+ * @param {number} [steps] - How many to roll back (default 1)
+ * @returns {Promise<Array>} Migrations rolled back
+ */
+export async function migrateDown(steps = 1) {
+  return withClient(async (client) => {
+    const { applied } = await readStatus(client);
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const migration of toRevert) {
+      const { down } = await loadMigration(migration);
+      if (typeof down !== 'function') {
+        throw new Error(`${migration.file} is irreversible (no down())`);
+      }
+
+      console.log(`[Migrate] Reverting ${migration.file}...`);
+      await client.query('BEGIN');
+      try {
+        await down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`${migration.file} rollback failed: ${error.message}`);
+      }
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+}
+
+/**
+ * Throw unless every migration has been applied. Called before serving so a
+ * stale schema stops startup instead of failing queries later.
+ */
+export async function assertSchemaCurrent() {
+  const { pending } = await getMigrationStatus();
+  if (pending.length > 0) {
+    throw new Error(`Database schema is behind: ${pending.length} pending migration(s) (${pending.map(m => m.file).join(', ')}). Run "npm run migrate up".`);
+  }
+}
@@ -1,4 +1,22 @@
 import * as cheerio from 'cheerio';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchReleaseDetails } from './pressReleaseFetcher.js';
+import { politeFetch } from './httpClient.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCRAPERS_PATH = process.env.SCRAPERS_PATH || path.join(__dirname, 'scrapers.json');
+
+const MIN_TITLE_LENGTH = 10;
+const MAX_TITLE_LENGTH = 200;
+const FILTER_FIELDS = ['title', 'link', 'text'];
+
+// Last scrapers.json that loaded cleanly; used when a later edit breaks the file
+let lastGoodScrapers = null;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
 
 /**
  * Common fetch + cheerio load + error handling wrapper
@@ -6,16 +24,14 @@ import * as cheerio from 'cheerio';
  * @param {Function} parser - Site-specific parser function receiving cheerio $
  * @param {string} sourceName - Source name for article objects
  * @param {number} maxItems - Maximum items to return
+ * @param {string} category - Category assigned to every article
  * @returns {Promise<Array>} Articles array
  */
-async function scrapeNewsroom(url, parser, sourceName, maxItems = 10) {
+async function scrapeNewsroom(url, parser, sourceName, maxItems = 10, category = 'competitor-intel') {
   try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; MortgageIntelBot/1.0)',
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-      signal: AbortSignal.timeout(15000),
+    const response = await politeFetch(url, {
+      headers: { 'Accept': 'text/html,application/xhtml+xml' },
+      timeoutMs: 15000,
     });
 
     if (!response.ok) {
@@ -31,7 +47,7 @@ async function scrapeNewsroom(url, parser, sourceName, maxItems = 10) {
     return articles.map(article => ({
       ...article,
       source: sourceName,
-      category: 'competitor-intel',
+      category,
     }));
   } catch (error) {
     console.error(`[Scraper] ${sourceName} failed:`, error.message);
@@ -40,167 +56,275 @@ async function scrapeNewsroom(url, parser, sourceName, maxItems = 10) {
 }
 
 /**
- * Scrape Rocket Companies press releases
- * Covers both Rocket Mortgage and Mr. Cooper (post-acquisition)
+ * Load scraper definitions from scrapers.json (read on every run, so edits apply without a restart)
+ * Throws on malformed or invalid config instead of silently scraping nothing.
+ * @returns {Promise<Array>} Enabled and disabled scraper definitions
  */
-export async function scrapeRocketPressReleases(maxItems = 10) {
-  return scrapeNewsroom(
-    'https://rocketcompanies.com/press-releases/',
-    ($, max) => {
-      const articles = [];
-
-      // Rocket press releases page typically has a list of press release links
-      $('a[href*="/press-release/"]').each((i, el) => {
-        if (articles.length >= max) return false;
-
-        const $el = $(el);
-        const title = $el.text().trim();
-        const href = $el.attr('href');
-
-        if (!title || !href || title.length < 10) return;
-
-        // Skip duplicate titles
-        if (articles.some(a => a.title === title)) return;
-
-        const link = href.startsWith('http') ? href : `https://rocketcompanies.com${href}`;
-
-        // Try to find a date near this element
-        const $parent = $el.closest('li, div, article');
-        const dateText = $parent.find('time, [datetime], .date, .press-release-date').first().text().trim();
-        const pubDate = dateText ? new Date(dateText).toISOString() : new Date().toISOString();
-
-        articles.push({
-          title,
-          link,
-          pubDate,
-          summary: '',
-          originalContent: '',
-          imageUrl: null,
-          contentHtml: null,
-          hasFullContent: false,
-        });
-      });
-
-      return articles;
-    },
-    'Rocket Companies Newsroom',
-    maxItems
+export async function loadScrapers() {
+  let config;
+  try {
+    config = JSON.parse(await readFile(SCRAPERS_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load scrapers.json: ${error.message}`);
+  }
+
+  if (!config || !Array.isArray(config.scrapers)) {
+    throw new Error('scrapers.json must contain a "scrapers" array');
+  }
+
+  const errors = config.scrapers.flatMap((definition, index) =>
+    validateScraper(definition).map(error => `scrapers[${index}] (${definition?.name || 'unnamed'}): ${error}`)
   );
+  if (errors.length > 0) {
+    throw new Error(`scrapers.json failed validation:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config.scrapers;
 }
 
 /**
- * Scrape Blend newsroom (card-based layout)
- * Extracts headlines and external links (often Business Wire)
+ * Validate a single scraper definition
+ * @param {Object} definition - Scraper definition from scrapers.json
+ * @returns {Array<string>} Validation errors (empty when valid)
  */
-export async function scrapeBlendNewsroom(maxItems = 10) {
-  return scrapeNewsroom(
-    'https://blend.com/company/newsroom/',
-    ($, max) => {
-      const articles = [];
-
-      // Blend newsroom uses card-based layout with headlines and links
-      $('a[href]').each((i, el) => {
-        if (articles.length >= max) return false;
-
-        const $el = $(el);
-        const href = $el.attr('href') || '';
-
-        // Look for external press links (businesswire, prnewswire, etc) or blog posts
-        const isNewsLink = href.includes('businesswire.com') ||
-          href.includes('prnewswire.com') ||
-          href.includes('globenewswire.com') ||
-          (href.includes('blend.com') && href.includes('/blog/'));
-
-        if (!isNewsLink) return;
-
-        // Get the card/container text as title
-        const $card = $el.closest('div, article, li');
-        let title = $el.find('h2, h3, h4').first().text().trim() ||
-          $card.find('h2, h3, h4').first().text().trim() ||
-          $el.text().trim();
-
-        if (!title || title.length < 10) return;
-        // Truncate very long titles
-        if (title.length > 200) title = title.substring(0, 200);
-
-        // Skip duplicates
-        if (articles.some(a => a.title === title || a.link === href)) return;
-
-        articles.push({
-          title,
-          link: href,
-          pubDate: new Date().toISOString(), // Dates not visible in cards
-          summary: '',
-          originalContent: '',
-          imageUrl: null,
-          contentHtml: null,
-          hasFullContent: false,
-        });
-      });
-
-      return articles;
-    },
-    'Blend Newsroom',
-    maxItems
-  );
+export function validateScraper(definition) {
+  if (!definition || typeof definition !== 'object') return ['definition must be an object'];
+
+  const errors = [];
+  if (typeof definition.name !== 'string' || !definition.name.trim()) errors.push('name is required');
+  if (typeof definition.listUrl !== 'string' || !/^https?:\/\//.test(definition.listUrl)) {
+    errors.push('listUrl must be an http(s) URL');
+  }
+  if (typeof definition.itemSelector !== 'string' || !definition.itemSelector.trim()) {
+    errors.push('itemSelector is required');
+  }
+  if (definition.maxItems !== undefined && (!Number.isInteger(definition.maxItems) || definition.maxItems < 1)) {
+    errors.push('maxItems must be a positive integer');
+  }
+  if (definition.enabled !== undefined && typeof definition.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (definition.fetchDetails !== undefined && typeof definition.fetchDetails !== 'boolean') {
+    errors.push('fetchDetails must be true or false');
+  }
+
+  for (const key of ['include', 'exclude']) {
+    const filters = definition[key];
+    if (filters === undefined) continue;
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.push(`${key} must map ${FILTER_FIELDS.join('/')} to arrays of patterns`);
+      continue;
+    }
+    for (const [field, patterns] of Object.entries(filters)) {
+      if (!FILTER_FIELDS.includes(field)) errors.push(`${key}.${field} is not a filterable field`);
+      if (!Array.isArray(patterns)) {
+        errors.push(`${key}.${field} must be an array of patterns`);
+        continue;
+      }
+      for (const pattern of patterns) {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          errors.push(`${key}.${field}: invalid pattern ${pattern}`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a date string, optionally against an explicit format
+ * Supported tokens: YYYY, YY, MMMM (January), MMM (Jan), MM, M, DD, D
+ * @param {string} text - Raw date text from the page
+ * @param {string} [format] - Format such as "MM/DD/YYYY" or "MMMM D, YYYY"
+ * @returns {Date|null} Parsed date, or null when it can't be read
+ */
+export function parseDate(text, format) {
+  if (!text) return null;
+  const value = text.trim();
+
+  if (!format) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const tokens = [];
+  const pattern = format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|[.*+?^${}()|[\]\\]/g, token => {
+    switch (token) {
+      case 'YYYY': tokens.push('year'); return '(\\d{4})';
+      case 'YY': tokens.push('year2'); return '(\\d{2})';
+      case 'MMMM': tokens.push('monthName'); return '([A-Za-z]+)';
+      case 'MMM': tokens.push('monthName'); return '([A-Za-z]{3})\\.?';
+      case 'MM': case 'M': tokens.push('month'); return '(\\d{1,2})';
+      case 'DD': case 'D': tokens.push('day'); return '(\\d{1,2})';
+      default: return '\\' + token;
+    }
+  });
+
+  const match = value.match(new RegExp(pattern.replace(/\s+/g, '\\s+'), 'i'));
+  if (!match) return null;
+
+  let year, month, day = 1;
+  tokens.forEach((token, i) => {
+    const part = match[i + 1];
+    if (token === 'year') year = parseInt(part, 10);
+    if (token === 'year2') year = 2000 + parseInt(part, 10);
+    if (token === 'month') month = parseInt(part, 10) - 1;
+    if (token === 'day') day = parseInt(part, 10);
+    if (token === 'monthName') month = MONTHS.findIndex(name => name.startsWith(part.toLowerCase()));
+  });
+
+  if (year === undefined || month === undefined || month < 0 || month > 11) return null;
+  const date = new Date(year, month, day);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Find the first non-empty match for a list of selectors, looking inside the
+ * item first and then inside its container
+ */
+function findFirst($, $item, $container, selectors) {
+  for (const selector of [].concat(selectors || [])) {
+    for (const $scope of [$item, $container]) {
+      if (!$scope) continue;
+      const $match = $scope.find(selector)
+        .filter((i, el) => $(el).text().trim() !== '' || Boolean($(el).attr('datetime')))
+        .first();
+      if ($match.length) return $match;
+    }
+  }
+  return null;
+}
+
+function resolveLink(href, definition) {
+  if (!href) return '';
+  if (/^https?:\/\//.test(href)) return href;
+  if (definition.linkPrefix) return `${definition.linkPrefix}${href}`;
+  try {
+    return new URL(href, definition.listUrl).toString();
+  } catch {
+    return '';
+  }
+}
+
+function matchesAny(value, patterns) {
+  return patterns.some(pattern => new RegExp(pattern, 'i').test(value));
 }
 
 /**
- * Scrape ICE Mortgage Technology press releases
- * Parses table layout, filters to "Mortgage Technology" category only
+ * Apply a scraper definition's include/exclude filters to one candidate
+ * Every include field must match at least one of its patterns; any exclude match drops the item.
  */
-export async function scrapeICEMortgageTech(maxItems = 10) {
-  return scrapeNewsroom(
-    'https://www.ice.com/media',
-    ($, max) => {
-      const articles = [];
-
-      // ICE media page has a table with Date, Title, Category columns
-      $('table tr, .press-release-row, [class*="press"]').each((i, el) => {
-        if (articles.length >= max) return false;
-
-        const $row = $(el);
-        const cells = $row.find('td');
-
-        if (cells.length < 2) return;
-
-        // Try to identify category column and filter for Mortgage Technology
-        const rowText = $row.text().toLowerCase();
-        if (!rowText.includes('mortgage') && !rowText.includes('ice mortgage technology')) return;
-
-        // Extract title and link
-        const $link = $row.find('a').first();
-        const title = $link.text().trim() || cells.eq(1).text().trim();
-        const href = $link.attr('href');
-
-        if (!title || title.length < 10) return;
-
-        const link = href ?
-          (href.startsWith('http') ? href : `https://www.ice.com${href}`) :
-          '';
-
-        // Extract date from first column
-        const dateText = cells.first().text().trim();
-        const pubDate = dateText ? new Date(dateText).toISOString() : new Date().toISOString();
-
-        // Skip duplicates
-        if (articles.some(a => a.title === title)) return;
-
-        articles.push({
-          title,
-          link,
-          pubDate,
-          summary: '',
-          originalContent: '',
-          imageUrl: null,
-          contentHtml: null,
-          hasFullContent: false,
-        });
-      });
-
-      return articles;
-    },
-    'ICE Mortgage Technology',
-    maxItems
+function passesFilters(candidate, definition) {
+  for (const [field, patterns] of Object.entries(definition.include || {})) {
+    if (patterns.length > 0 && !matchesAny(candidate[field] || '', patterns)) return false;
+  }
+  for (const [field, patterns] of Object.entries(definition.exclude || {})) {
+    if (matchesAny(candidate[field] || '', patterns)) return false;
+  }
+  return true;
+}
+
+/**
+ * Extract articles from a loaded newsroom page using a scraper definition
+ * @param {Function} $ - Cheerio instance for the list page
+ * @param {Object} definition - Scraper definition
+ * @param {number} max - Maximum items to return
+ * @returns {Array} Article objects (without source/category)
+ */
+export function extractNewsroomItems($, definition, max = 10) {
+  const articles = [];
+  const minTitleLength = definition.minTitleLength ?? MIN_TITLE_LENGTH;
+
+  $(definition.itemSelector).each((i, el) => {
+    if (articles.length >= max) return false;
+
+    const $item = $(el);
+    const $container = definition.containerSelector ? $item.closest(definition.containerSelector) : null;
+
+    let title = (findFirst($, $item, $container, definition.titleSelector) || $item).text().trim().replace(/\s+/g, ' ');
+    if (!title || title.length < minTitleLength) return;
+    if (title.length > MAX_TITLE_LENGTH) title = title.substring(0, MAX_TITLE_LENGTH);
+
+    const $link = definition.linkSelector
+      ? $item.find(definition.linkSelector).first()
+      : ($item.attr('href') ? $item : $item.find('a[href]').first());
+    const link = resolveLink($link.attr('href'), definition);
+    if (!link) return;
+
+    const candidate = { title, link, text: $item.text() };
+    if (!passesFilters(candidate, definition)) return;
+
+    // Skip duplicates
+    if (articles.some(a => a.title === title || a.link === link)) return;
+
+    const $date = definition.dateSelector ? findFirst($, $item, $container, definition.dateSelector) : null;
+    const dateText = $date ? ($date.attr('datetime') || $date.text()) : '';
+    const date = parseDate(dateText, definition.dateFormat);
+
+    articles.push({
+      title,
+      link,
+      pubDate: date ? date.toISOString() : null,
+      summary: '',
+      originalContent: '',
+      imageUrl: null,
+      contentHtml: null,
+      hasFullContent: false,
+    });
+  });
+
+  return articles;
+}
+
+/**
+ * Run one scraper definition against its live newsroom page, then follow
+ * each link to pull in the release body unless fetchDetails is false
+ * @param {Object} definition - Scraper definition
+ * @param {number} maxItems - Maximum items to return
+ * @returns {Promise<Array>} Articles array
+ */
+export async function runScraper(definition, maxItems = 10) {
+  const articles = await scrapeNewsroom(
+    definition.listUrl,
+    ($, max) => extractNewsroomItems($, definition, max),
+    definition.name,
+    definition.maxItems ?? maxItems,
+    definition.category || 'competitor-intel'
   );
+
+  if (definition.fetchDetails !== false) {
+    await fetchReleaseDetails(articles, definition);
+  }
+
+  return articles;
+}
+
+/**
+ * Run every enabled scraper in parallel. An invalid scrapers.json is logged
+ * and the last good definitions are used (none on the first load).
+ * @param {number} maxItems - Default maximum items per scraper
+ * @returns {Promise<{scraperCount: number, articles: Array}>}
+ */
+export async function scrapeAllNewsrooms(maxItems = 10) {
+  let definitions;
+  try {
+    definitions = await loadScrapers();
+    lastGoodScrapers = definitions;
+  } catch (error) {
+    // A bad edit to scrapers.json shouldn't take the rest of the fetch down with it
+    console.error(`[Scraper] ${error.message}`);
+    if (!lastGoodScrapers) {
+      console.error('[Scraper] No previously loaded scrapers, skipping newsrooms this run');
+      return { scraperCount: 0, articles: [] };
+    }
+    console.error('[Scraper] Keeping previously loaded scrapers');
+    definitions = lastGoodScrapers;
+  }
+
+  const scrapers = definitions.filter(definition => definition.enabled !== false);
+  const results = await Promise.all(scrapers.map(definition => runScraper(definition, maxItems)));
+  return { scraperCount: scrapers.length, articles: results.flat() };
 }
@@ -0,0 +1,92 @@
+import * as cheerio from 'cheerio';
+import { readJsonLdNodes } from './htmlHelpers.js';
+
+/**
+ * Sites where everything beyond the feed teaser sits behind a subscription.
+ * Metered sites are left to page-level detection so extraction still gets a try.
+ */
+const PAYWALLED_DOMAINS = [
+  'seekingalpha.com',
+  'wsj.com',
+  'barrons.com',
+  'bloomberg.com',
+  'ft.com',
+  'nytimes.com',
+  'washingtonpost.com',
+  'economist.com',
+  'businessinsider.com',
+  'theinformation.com'
+];
+
+const PAYWALL_TEXT_MARKERS = [
+  /subscribe (?:now )?to (?:continue|keep) reading/i,
+  /subscribe to (?:read|unlock|access) (?:the full|this|more)/i,
+  /(?:to|continue) reading,? (?:please )?(?:subscribe|sign in|log in|register)/i,
+  /already (?:a subscriber|have an account)\?? (?:sign|log) in/i,
+  /this (?:article|content|story) is (?:only )?(?:available|reserved) (?:to|for) (?:paid )?(?:subscribers|members)/i,
+  /create a free account to (?:continue|read)/i,
+  /you(?:'ve| have) reached your (?:free )?(?:article|monthly) limit/i,
+  /unlock (?:this article|full access)/i,
+  /become a (?:premium )?(?:member|subscriber) to read/i
+];
+
+const PAYWALL_ELEMENT_SELECTORS = [
+  '[class*="paywall"]', '[id*="paywall"]',
+  '[class*="regwall"]', '[id*="regwall"]',
+  '[class*="subscription-wall"]', '[class*="subscriber-only"]',
+  '[class*="meteredContent"]', '[class*="metered-content"]',
+  '.tp-modal', '.tp-backdrop', '#piano-offer', '[class*="piano-"]'
+];
+
+// A marker in a long body is usually a footer plug, not a wall
+const TRUNCATED_BODY_LENGTH = 1500;
+
+function hostMatches(url, domains) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return domains.find(domain => host === domain || host.endsWith(`.${domain}`)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Google's paywall structured data: isAccessibleForFree: false
+ */
+function hasPaywallStructuredData($) {
+  return readJsonLdNodes($).some(node => node.isAccessibleForFree === false || node.isAccessibleForFree === 'False' || node.isAccessibleForFree === 'false');
+}
+
+/**
+ * Decide whether an article is paywalled from whatever we have for it
+ * @param {Object} input
+ * @param {string} input.url - Article URL (checked against known paywalled domains)
+ * @param {string} [input.text] - Plain text we ingested (feed content or extracted body)
+ * @param {string} [input.html] - Raw article page HTML, when the page was fetched
+ * @returns {{paywalled: boolean, reason: string|null}}
+ */
+export function detectPaywall({ url, text = '', html = '' }) {
+  const domain = hostMatches(url, PAYWALLED_DOMAINS);
+  if (domain) return { paywalled: true, reason: `known paywalled domain (${domain})` };
+
+  if (html) {
+    const $ = cheerio.load(html);
+    if (hasPaywallStructuredData($)) {
+      return { paywalled: true, reason: 'isAccessibleForFree: false' };
+    }
+    // Many sites ship dormant paywall containers, so only trust them when the body came up short
+    const selector = text.length < TRUNCATED_BODY_LENGTH && PAYWALL_ELEMENT_SELECTORS.find(s => $(s).length > 0);
+    if (selector) {
+      return { paywalled: true, reason: `subscription interstitial (${selector})` };
+    }
+  }
+
+  if (text && text.length < TRUNCATED_BODY_LENGTH) {
+    const marker = PAYWALL_TEXT_MARKERS.find(pattern => pattern.test(text));
+    if (marker) {
+      return { paywalled: true, reason: 'truncated body with subscribe prompt' };
+    }
+  }
+
+  return { paywalled: false, reason: null };
+}
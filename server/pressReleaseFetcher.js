@@ -0,0 +1,238 @@
+import * as cheerio from 'cheerio';
+import { decode } from 'html-entities';
+import { sanitizeArticleHtml } from './htmlSanitizer.js';
+import { absolutizeUrls, readJsonLdNodes } from './htmlHelpers.js';
+import { getArticlesByLinks } from './storage.js';
+import { politeFetch } from './httpClient.js';
+
+const DETAIL_TIMEOUT_MS = 15000;
+const DETAIL_CONCURRENCY = 3;
+const FULL_CONTENT_MIN_LENGTH = 500;
+
+/**
+ * Known wire-service layouts, checked before the scraper's own selectors
+ */
+const WIRE_PROFILES = [
+  {
+    name: 'Business Wire',
+    host: /(^|\.)businesswire\.com$/,
+    body: ['.bw-release-story', '#bw-release-story', '[itemprop="articleBody"]'],
+    date: ['.bw-release-timestamp time[datetime]', '.bw-release-timestamp time', '.bw-release-timestamp']
+  },
+  {
+    name: 'PR Newswire',
+    host: /(^|\.)prnewswire\.com$/,
+    body: ['.release-body', 'section.release-body', '[itemprop="articleBody"]'],
+    date: ['meta[name="date"]', '.mb-no', 'p.mb-no']
+  },
+  {
+    name: 'GlobeNewswire',
+    host: /(^|\.)globenewswire\.com$/,
+    body: ['#main-body-container', '.main-body-container', '[itemprop="articleBody"]'],
+    date: ['time[datetime]', '.article-published time']
+  }
+];
+
+const GENERIC_BODY = [
+  '[itemprop="articleBody"]', '.press-release-body', '.press-release-content', '.press-release',
+  '.entry-content', '.article-body', 'article', 'main'
+];
+
+const GENERIC_DATE = [
+  'meta[property="article:published_time"]', 'meta[name="article:published_time"]',
+  'meta[itemprop="datePublished"]', 'meta[name="date"]', 'meta[name="pubdate"]',
+  '[itemprop="datePublished"]', 'time[datetime]'
+];
+
+// "DETROIT, Oct. 14, 2026 /PRNewswire/ --", "SAN FRANCISCO--(BUSINESS WIRE)--", "... /GLOBE NEWSWIRE/ --"
+const DATELINE_PATTERN = /^\s*([A-Z][A-Za-z.'&\- ]+(?:,\s*[A-Za-z.'&\- ]+)*?(?:,?\s+[A-Z][a-z]{2,8}\.?\s+\d{1,2},\s+\d{4})?)\s*(?:\/\s*PRNewswire(?:-[A-Za-z ]+)?\s*\/|--\s*\(\s*BUSINESS WIRE\s*\)|\/\s*GLOBE NEWSWIRE\s*\/)\s*(?:--|—|–)?\s*/;
+const DATELINE_DATE_PATTERN = /([A-Z][a-z]{2,8})\.?\s+(\d{1,2}),\s+(\d{4})/;
+
+/**
+ * Read a date from the first matching element: meta content, datetime attribute, then text
+ */
+function readDate($, selectors) {
+  for (const selector of selectors) {
+    const $el = $(selector).first();
+    if (!$el.length) continue;
+    const raw = $el.attr('content') || $el.attr('datetime') || $el.text();
+    const date = raw ? new Date(raw.trim()) : null;
+    if (date && !isNaN(date.getTime())) return date;
+  }
+  return null;
+}
+
+/**
+ * Pull datePublished out of JSON-LD blocks (NewsArticle / PressRelease schema)
+ */
+function readJsonLdDate($) {
+  for (const node of readJsonLdNodes($)) {
+    const date = node.datePublished ? new Date(node.datePublished) : null;
+    if (date && !isNaN(date.getTime())) return date;
+  }
+  return null;
+}
+
+/**
+ * Split the wire dateline off the start of the release text
+ * @returns {{dateline: string|null, date: Date|null}}
+ */
+export function parseDateline(text) {
+  const match = (text || '').match(DATELINE_PATTERN);
+  if (!match) return { dateline: null, date: null };
+
+  const dateline = match[1].trim().replace(/[,\s]+$/, '');
+  const dateMatch = dateline.match(DATELINE_DATE_PATTERN);
+  const date = dateMatch ? new Date(`${dateMatch[1]} ${dateMatch[2]}, ${dateMatch[3]}`) : null;
+
+  return { dateline, date: date && !isNaN(date.getTime()) ? date : null };
+}
+
+/**
+ * Extract the release body, dateline, lead image and publish date from a detail page
+ * @param {string} html - Detail page HTML
+ * @param {string} pageUrl - URL the page was fetched from (for resolving relative links)
+ * @param {Object} definition - Scraper definition (optional detailBodySelector / detailDateSelector)
+ * @returns {Object|null} Extracted fields, or null when no body was found
+ */
+export function extractReleaseDetails(html, pageUrl, definition = {}) {
+  const $ = cheerio.load(html);
+  const host = new URL(pageUrl).hostname;
+  const profile = WIRE_PROFILES.find(p => p.host.test(host));
+
+  const bodySelectors = [
+    ...(profile ? profile.body : []),
+    ...[].concat(definition.detailBodySelector || []),
+    ...GENERIC_BODY
+  ];
+
+  let $body = null;
+  for (const selector of bodySelectors) {
+    const $candidate = $(selector).first();
+    if ($candidate.length && $candidate.text().trim().length > 100) {
+      $body = $candidate;
+      break;
+    }
+  }
+  if (!$body) return null;
+
+  $body.find('script, style, noscript, iframe, form, nav, aside, .social-share, .share-links').remove();
+
+  // Resolve relative links and images before sanitizing so the reader page can load them
+  absolutizeUrls($, $body, pageUrl);
+
+  const paragraphs = $body.find('p').map((i, el) => $(el).text().trim()).get().filter(Boolean);
+  const text = decode(paragraphs.length > 0 ? paragraphs.join('\n\n') : $body.text())
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+
+  const { dateline, date: datelineDate } = parseDateline(text);
+
+  const pubDate = readJsonLdDate($) ||
+    readDate($, [
+      ...GENERIC_DATE.filter(s => s.startsWith('meta')),
+      ...(profile ? profile.date : []),
+      ...[].concat(definition.detailDateSelector || []),
+      ...GENERIC_DATE.filter(s => !s.startsWith('meta'))
+    ]) ||
+    datelineDate;
+
+  const ogImage = $('meta[property="og:image"]').attr('content') || $('meta[name="twitter:image"]').attr('content');
+  const bodyImage = $body.find('img[src]').first().attr('src');
+
+  return {
+    text,
+    contentHtml: sanitizeArticleHtml($body.html() || ''),
+    dateline,
+    pubDate,
+    imageUrl: ogImage || bodyImage || null,
+    wire: profile ? profile.name : null
+  };
+}
+
+/**
+ * Fetch one press-release page and fill in the article's body, dateline, image and date
+ * @returns {Promise<boolean>} True when the article was enriched
+ */
+async function fetchReleaseDetail(article, definition) {
+  try {
+    const response = await politeFetch(article.link, {
+      headers: { 'Accept': 'text/html,application/xhtml+xml' },
+      timeoutMs: DETAIL_TIMEOUT_MS,
+    });
+
+    if (!response.ok) {
+      console.error(`[Releases] ${article.source}: HTTP ${response.status} for ${article.link}`);
+      return false;
+    }
+
+    const details = extractReleaseDetails(await response.text(), response.url || article.link, definition);
+    if (!details || !details.text) {
+      console.log(`[Releases] ${article.source}: no release body found at ${article.link}`);
+      return false;
+    }
+
+    article.summary = details.text.substring(0, 300).trim() + '...';
+    article.originalContent = details.text;
+    article.contentHtml = details.contentHtml;
+    article.hasFullContent = details.text.length > FULL_CONTENT_MIN_LENGTH;
+    article.dateline = details.dateline;
+    article.extractionMethod = 'press-release';
+    if (details.imageUrl) article.imageUrl = details.imageUrl;
+    if (details.pubDate) article.pubDate = details.pubDate.toISOString();
+
+    return true;
+  } catch (error) {
+    console.error(`[Releases] ${article.source}: failed to fetch ${article.link}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Second scraping stage: follow each scraped link and pull in the release itself.
+ * Articles already stored with a release body reuse what we have instead of refetching.
+ * Mutates the articles in place.
+ * @param {Array} articles - Articles from a newsroom list page
+ * @param {Object} definition - Scraper definition the articles came from
+ */
+export async function fetchReleaseDetails(articles, definition = {}) {
+  if (articles.length === 0) return;
+
+  // Without the stored releases every detail page is fetched again, which is
+  // slower but loses nothing
+  let stored = new Map();
+  try {
+    stored = await getArticlesByLinks(articles.map(a => a.link));
+  } catch (error) {
+    console.error(`[Releases] ${definition.name || 'Newsroom'}: couldn't look up stored releases:`, error.message);
+  }
+  const pending = [];
+
+  for (const article of articles) {
+    const existing = stored.get(article.link);
+    if (existing && existing.originalContent) {
+      article.summary = existing.summary;
+      article.originalContent = existing.originalContent;
+      article.contentHtml = existing.contentHtml;
+      article.hasFullContent = existing.hasFullContent;
+      article.dateline = existing.dateline;
+      article.imageUrl = existing.imageUrl;
+      article.extractionMethod = existing.extractionMethod;
+      // The list page only has a day; keep the exact date found on the release page
+      article.pubDate = existing.pubDate || article.pubDate;
+    } else {
+      pending.push(article);
+    }
+  }
+
+  if (pending.length === 0) return;
+
+  let enriched = 0;
+  for (let i = 0; i < pending.length; i += DETAIL_CONCURRENCY) {
+    const batch = pending.slice(i, i + DETAIL_CONCURRENCY);
+    const results = await Promise.all(batch.map(article => fetchReleaseDetail(article, definition)));
+    enriched += results.filter(Boolean).length;
+  }
+
+  console.log(`[Releases] ${definition.name || 'Newsroom'}: fetched ${enriched}/${pending.length} release pages`);
+}
@@ -0,0 +1,76 @@
+/**
+ * Preview what a newsroom scraper definition extracts from a saved HTML page
+ *
+ * Usage:
+ *   node preview-scraper.js <saved.html> <scraper name | definition.json> [--max N] [--json]
+ *
+ * Examples:
+ *   node preview-scraper.js ~/Downloads/uwm-newsroom.html ./uwm-scraper.json
+ *   node preview-scraper.js ~/Downloads/ice-media.html "ICE Mortgage Technology" --max 20
+ *
+ * A definition file holds a single scraper object in the same shape as an
+ * entry in scrapers.json. Nothing is fetched or saved.
+ */
+
+import * as cheerio from 'cheerio';
+import { readFile } from 'fs/promises';
+import { loadScrapers, validateScraper, extractNewsroomItems } from './newsroomScraper.js';
+
+function usage() {
+  console.error('Usage: node preview-scraper.js <saved.html> <scraper name | definition.json> [--max N] [--json]');
+  process.exit(1);
+}
+
+async function resolveDefinition(target) {
+  if (target.endsWith('.json')) {
+    return JSON.parse(await readFile(target, 'utf8'));
+  }
+
+  const scrapers = await loadScrapers();
+  const definition = scrapers.find(s => s.name.toLowerCase() === target.toLowerCase());
+  if (!definition) {
+    throw new Error(`No scraper named "${target}" in scrapers.json (have: ${scrapers.map(s => s.name).join(', ')})`);
+  }
+  return definition;
+}
+
+async function preview() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const maxIndex = args.indexOf('--max');
+  const max = maxIndex !== -1 ? parseInt(args[maxIndex + 1], 10) : 10;
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && (maxIndex === -1 || i !== maxIndex + 1));
+
+  if (positional.length < 2 || isNaN(max)) usage();
+  const [htmlPath, target] = positional;
+
+  try {
+    const definition = await resolveDefinition(target);
+    const errors = validateScraper(definition);
+    if (errors.length > 0) {
+      console.error('[Preview] Invalid scraper definition:');
+      for (const error of errors) console.error(`  - ${error}`);
+      process.exit(1);
+    }
+
+    const $ = cheerio.load(await readFile(htmlPath, 'utf8'));
+    const itemCount = $(definition.itemSelector).length;
+    const articles = extractNewsroomItems($, definition, max);
+
+    if (asJson) {
+      console.log(JSON.stringify(articles, null, 2));
+      return;
+    }
+
+    console.log(`[Preview] ${definition.name}: itemSelector matched ${itemCount} element(s), extracted ${articles.length} article(s)\n`);
+    articles.forEach((article, i) => {
+      console.log(`${i + 1}. ${article.title}`);
+      console.log(`   ${article.pubDate ? article.pubDate.split('T')[0] : 'no date'}  ${article.link}`);
+    });
+  } catch (error) {
+    console.error('[Preview] Error:', error.message);
+    process.exit(1);
+  }
+}
+
+preview();
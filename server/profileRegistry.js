@@ -0,0 +1,173 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonRegistry, validateEntries, isStringList } from './jsonRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROFILES_PATH = process.env.PROFILES_PATH || path.join(__dirname, 'profiles.json');
+
+const KNOWN_FIELDS = ['id', 'name', 'enabled', 'email', 'persona', 'company', 'priorities', 'roadmapThemes', 'competitors', 'disruptors',
+  'categories', 'criteria', 'worthReadingGuidance', 'skip', 'sections'];
+const LIST_FIELDS = ['priorities', 'roadmapThemes', 'competitors', 'disruptors', 'categories', 'criteria'];
+const MAX_SECTION_ITEMS = 10;
+
+const DEFAULT_SECTIONS = {
+  topInsights: { max: 3 },
+  competitiveSignals: { max: 3 },
+  worthReading: { min: 3, max: 5 }
+};
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_SECTION_ITEMS;
+}
+
+/**
+ * Validate one section's rules ({ min, max, note })
+ */
+function validateSection(name, rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return [`sections.${name} must be an object`];
+
+  const errors = [];
+  if (rules.min !== undefined && !isCount(rules.min)) errors.push(`sections.${name}.min must be an integer between 0 and ${MAX_SECTION_ITEMS}`);
+  if (rules.max !== undefined && !isCount(rules.max)) errors.push(`sections.${name}.max must be an integer between 0 and ${MAX_SECTION_ITEMS}`);
+  if (isCount(rules.min) && isCount(rules.max) && rules.min > rules.max) errors.push(`sections.${name}.min must not exceed max`);
+  if (rules.note !== undefined && typeof rules.note !== 'string') errors.push(`sections.${name}.note must be a string`);
+  return errors;
+}
+
+/**
+ * Validate a single raw profile definition
+ * @param {Object} profile - Profile as stored in profiles.json
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be an object'];
+  }
+
+  const errors = [];
+  if (typeof profile.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(profile.id)) {
+    errors.push('id is required (lowercase letters, digits and dashes)');
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('name is required');
+  }
+  if (typeof profile.persona !== 'string' || !profile.persona.trim()) {
+    errors.push('persona is required');
+  }
+  if (!profile.company || typeof profile.company !== 'object' || typeof profile.company.name !== 'string' || !profile.company.name.trim()) {
+    errors.push('company.name is required');
+  }
+  if (profile.enabled !== undefined && typeof profile.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (profile.email !== undefined && typeof profile.email !== 'string' && !isStringList(profile.email)) {
+    errors.push('email must be an address or a list of addresses');
+  }
+  for (const field of LIST_FIELDS) {
+    if (profile[field] !== undefined && !isStringList(profile[field])) errors.push(`${field} must be a list of strings`);
+  }
+  for (const field of ['worthReadingGuidance', 'skip']) {
+    if (profile[field] !== undefined && typeof profile[field] !== 'string') errors.push(`${field} must be a string`);
+  }
+  if (profile.sections !== undefined) {
+    if (!profile.sections || typeof profile.sections !== 'object' || Array.isArray(profile.sections)) {
+      errors.push('sections must be an object');
+    } else {
+      for (const [name, rules] of Object.entries(profile.sections)) {
+        if (!DEFAULT_SECTIONS[name]) {
+          errors.push(`unknown section "${name}" (expected ${Object.keys(DEFAULT_SECTIONS).join(', ')})`);
+        } else {
+          errors.push(...validateSection(name, rules));
+        }
+      }
+    }
+  }
+
+  const unknown = Object.keys(profile).filter(key => !KNOWN_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  return errors;
+}
+
+function validateRegistry(config) {
+  return validateEntries(config, {
+    fileName: 'profiles.json',
+    listKey: 'profiles',
+    idField: 'id',
+    validateEntry: validateProfile,
+    allowEmpty: false
+  });
+}
+
+/**
+ * Apply defaults for optional profile settings
+ */
+function normalizeProfile(profile) {
+  const sections = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_SECTIONS)) {
+    sections[name] = { ...defaults, ...(profile.sections?.[name] || {}) };
+  }
+
+  return {
+    ...profile,
+    enabled: profile.enabled ?? true,
+    company: { ...profile.company, shortName: profile.company.shortName || profile.company.name },
+    priorities: profile.priorities || [],
+    roadmapThemes: profile.roadmapThemes || [],
+    competitors: profile.competitors || [],
+    disruptors: profile.disruptors || [],
+    categories: profile.categories || null,
+    criteria: profile.criteria || [],
+    sections
+  };
+}
+
+// An invalid profiles.json keeps the last good registry in place; with
+// nothing to fall back on, loading throws
+const profilesFile = createJsonRegistry({
+  filePath: PROFILES_PATH,
+  fileName: 'profiles.json',
+  listKey: 'profiles',
+  tag: 'Profiles',
+  validate: validateRegistry
+});
+
+/**
+ * Registry contents plus reload metadata for the admin API
+ */
+export async function listProfiles() {
+  const current = await profilesFile.load();
+  return {
+    profiles: current.profiles.map(normalizeProfile),
+    loadedAt: current.loadedAt,
+    lastReloadError: profilesFile.lastReloadError()
+  };
+}
+
+/**
+ * Get one profile by id
+ */
+export async function getProfile(id) {
+  const current = await profilesFile.load();
+  const profile = current.profiles.find(p => p.id === id);
+  return profile ? normalizeProfile(profile) : null;
+}
+
+/**
+ * Enabled profiles, in file order. The first profile in the file is the
+ * default, which digests archived before profiles existed belong to.
+ */
+export async function getEnabledProfiles() {
+  const current = await profilesFile.load();
+  return current.profiles.map(normalizeProfile).filter(profile => profile.enabled);
+}
+
+/**
+ * Id of the first profile in profiles.json
+ */
+export async function getDefaultProfileId() {
+  const current = await profilesFile.load();
+  return current.profiles[0].id;
+}
@@ -0,0 +1,68 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+
+const TODAY_PLACEHOLDER = '<today>';
+
+/**
+ * Stable key for a request: task, model settings and messages. Today's date
+ * is masked because the digest prompt embeds it, so a recording replays on
+ * any day. The timeout isn't part of the key.
+ */
+export function recordingKey({ task, model, temperature, maxTokens, messages }) {
+  const today = new Date().toISOString().split('T')[0];
+  const normalized = messages.map(message => ({ role: message.role, content: message.content.split(today).join(TODAY_PLACEHOLDER) }));
+  const hash = createHash('sha256')
+    .update(JSON.stringify({ model, temperature, maxTokens, messages: normalized }))
+    .digest('hex');
+  return `${task}-${hash.slice(0, 16)}`;
+}
+
+/**
+ * Provider backed by prompt/response pairs on disk, one JSON file per request.
+ * With an upstream provider it records: every request goes upstream and the
+ * pair is saved (replacing any earlier recording). Without one it replays:
+ * requests are answered from disk only, and a request with no recording throws.
+ * @param {Object} options
+ * @param {string} options.dir - Recordings directory
+ * @param {Object} [options.upstream] - Provider to record from
+ */
+export function createRecordedProvider({ dir, upstream = null }) {
+  const fileFor = key => path.join(dir, `${key}.json`);
+
+  return {
+    isConfigured: () => (upstream ? upstream.isConfigured() : true),
+
+    async complete(request) {
+      const key = recordingKey(request);
+
+      if (!upstream) {
+        let recording;
+        try {
+          recording = JSON.parse(await readFile(fileFor(key), 'utf8'));
+        } catch (error) {
+          if (error.code === 'ENOENT') throw new Error(`No recorded response for ${request.task} request ${key} in ${dir}`);
+          throw error;
+        }
+        console.log(`[LLM] Replayed ${key}`);
+        return { text: recording.response, usage: recording.usage || null, retries: 0 };
+      }
+
+      const result = await upstream.complete(request);
+      await mkdir(dir, { recursive: true });
+      await writeFile(fileFor(key), JSON.stringify({
+        key,
+        task: request.task,
+        model: request.model,
+        temperature: request.temperature,
+        maxTokens: request.maxTokens,
+        messages: request.messages,
+        response: result.text,
+        usage: result.usage,
+        recordedAt: new Date().toISOString()
+      }, null, 2) + '\n');
+      console.log(`[LLM] Recorded ${key}`);
+      return result;
+    }
+  };
+}
@@ -0,0 +1,73 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { archiveExpiredArticles, readRecentDigests } from './storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RETENTION_CONFIG_PATH = process.env.RETENTION_CONFIG_PATH || path.join(__dirname, 'retention.json');
+
+const DEFAULT_POLICY = { defaultDays: 90, categories: {} };
+
+/**
+ * Days to keep, or null to keep forever
+ */
+function validDays(value) {
+  return value === null || (Number.isFinite(value) && value > 0);
+}
+
+/**
+ * Retention policy from retention.json: `defaultDays` for every category
+ * without its own entry in `categories`. Invalid entries fall back to the default.
+ * @returns {{defaultDays: number|null, categories: Object<string, number|null>}}
+ */
+export function getRetentionPolicy() {
+  let fileConfig = {};
+  try {
+    fileConfig = JSON.parse(readFileSync(RETENTION_CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    console.error(`[Retention] Could not read ${RETENTION_CONFIG_PATH}, using defaults:`, error.message);
+  }
+
+  const policy = {
+    defaultDays: validDays(fileConfig.defaultDays) ? fileConfig.defaultDays : DEFAULT_POLICY.defaultDays,
+    categories: {}
+  };
+  for (const [category, days] of Object.entries(fileConfig.categories || {})) {
+    if (validDays(days)) {
+      policy.categories[category] = days;
+    } else {
+      console.error(`[Retention] Ignoring invalid retention for "${category}": ${JSON.stringify(days)}`);
+    }
+  }
+  return policy;
+}
+
+/**
+ * Ids of every article an archived digest links to, from any item list
+ * (top_insights, worth_reading, ...)
+ * @param {Array<Object>} digests - Archived digest objects
+ * @returns {Array<number>}
+ */
+export function referencedArticleIds(digests) {
+  const ids = new Set();
+  for (const digest of digests) {
+    for (const value of Object.values(digest)) {
+      if (!Array.isArray(value)) continue;
+      for (const item of value) {
+        if (Number.isInteger(item?.article_id)) ids.add(item.article_id);
+      }
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Move expired articles to the cold tier, keeping any article an archived
+ * digest links to so old emails' reader links still show the full article
+ * @returns {Promise<{archived: number, pinned: number}>}
+ */
+export async function runRetention() {
+  const policy = getRetentionPolicy();
+  const pinnedIds = referencedArticleIds(await readRecentDigests(Infinity));
+  return archiveExpiredArticles({ ...policy, pinnedIds });
+}
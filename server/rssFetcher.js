@@ -1,9 +1,14 @@
 import Parser from 'rss-parser';
-import { readFile } from 'fs/promises';
-import sanitizeHtml from 'sanitize-html';
-import { saveArticle } from './db.js';
+import { saveArticle, getArticlesByLinks, recordExtractionAttempts, getFeedCache, recordSourceFetch, getSourceHealth, markArticlesDigested } from './storage.js';
 import { decode } from 'html-entities';
-import { scrapeRocketPressReleases, scrapeBlendNewsroom, scrapeICEMortgageTech } from './newsroomScraper.js';
+import { sanitizeArticleHtml } from './htmlSanitizer.js';
+import { extractFullText } from './contentExtractor.js';
+import { detectPaywall } from './paywallDetector.js';
+import { loadSources, getSource, getEnabledSources, prepareSource } from './sourceRegistry.js';
+import { scrapeAllNewsrooms } from './newsroomScraper.js';
+import { politeFetch, beginCrawlRun, getCrawlRunReport } from './httpClient.js';
+import { clusterRecentArticles } from './storyClusterer.js';
+import { isFeedProxyUrl, resolveFeedProxy } from './urlCanonicalizer.js';
 
 const parser = new Parser({
   customFields: {
@@ -19,26 +24,17 @@ const parser = new Parser({
   }
 });
 
-/**
- * Sanitize RSS HTML content for safe reader rendering
- */
-function sanitizeArticleHtml(html) {
-  return sanitizeHtml(html, {
-    allowedTags: [
-      'p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a',
-      'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-      'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
-      'img', 'figure', 'figcaption', 'div', 'span', 'hr'
-    ],
-    allowedAttributes: {
-      'a': ['href', 'title'],
-      'img': ['src', 'alt', 'width', 'height'],
-    },
-    allowedSchemes: ['http', 'https'],
-  });
-}
-
-let cachedSources = null;
+const FEED_TIMEOUT_MS = 30000;
+const FEED_HEADERS = {
+  'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5',
+};
+const DEFAULT_QUIET_DAYS = 3;
+const EXTRACT_CONCURRENCY = 3;
+// Further tries for a stored teaser whose extraction failed, one per fetch
+const MAX_EXTRACTION_RETRIES = 3;
+const YOUTUBE_TIMEOUT_MS = 10000;
+const BACKFILL_MAX_PAGES = 20;
+const BACKFILL_DELAY_MS = 2000;
 
 /**
  * Simple concurrency limiter for parallel execution
@@ -146,72 +142,213 @@ function extractImageUrl(item) {
 }
 
 /**
- * Load news sources from configuration (cached after first load)
+ * Run full-text extraction on teaser items (feed content under the full-content threshold).
+ * Items already stored with extracted text reuse it. Stored teasers without it (a failed
+ * fetch, or stored before extraction existed) are retried up to MAX_EXTRACTION_RETRIES
+ * times; paywalled ones aren't. Mutates in place.
  */
-async function loadSources() {
-  if (cachedSources) return cachedSources;
-  try {
-    const data = await readFile('./sources.json', 'utf8');
-    cachedSources = JSON.parse(data);
-    console.log('[RSS] Sources loaded and cached');
-    return cachedSources;
-  } catch (error) {
-    console.error('Error loading sources.json:', error);
-    return { sources: [] };
+async function extractTeasers(articles, source) {
+  const teasers = articles.filter(a => !a.hasFullContent && a.link);
+  if (teasers.length === 0) return;
+
+  const stored = await getArticlesByLinks(teasers.map(a => a.link));
+  const pending = [];
+  const retriedIds = [];
+
+  for (const article of teasers) {
+    const existing = stored.get(article.link);
+    if (!existing) {
+      pending.push(article);
+      continue;
+    }
+
+    // Page-level paywall findings only come from extraction, so carry them forward
+    if (existing.paywalled) {
+      article.paywalled = true;
+      article.paywallReason = existing.paywallReason;
+    }
+    if (existing.extractionMethod === 'readability') {
+      article.summary = existing.summary;
+      article.originalContent = existing.originalContent;
+      article.contentHtml = existing.contentHtml;
+      article.hasFullContent = existing.hasFullContent;
+      article.extractionMethod = existing.extractionMethod;
+    } else if (!existing.paywalled && (existing.extractionMethod === null || existing.extractionMethod === 'feed') &&
+      existing.extractionAttempts < MAX_EXTRACTION_RETRIES) {
+      pending.push(article);
+      retriedIds.push(existing.id);
+    }
   }
+
+  if (pending.length === 0) return;
+
+  const limit = createLimiter(EXTRACT_CONCURRENCY);
+  const results = await Promise.all(pending.map(article => limit(() => extractFullText(article))));
+  await recordExtractionAttempts(retriedIds);
+  console.log(`  ${source.name}: extracted full text for ${results.filter(Boolean).length}/${pending.length} teaser(s)${retriedIds.length > 0 ? ` (${retriedIds.length} retried)` : ''}`);
+}
+
+/**
+ * Turn parsed feed items into article objects for a source
+ */
+function parseFeedItems(items, source) {
+  const isYouTube = source.rss?.includes('youtube.com/feeds/');
+  const parsed = [];
+
+  for (const item of items) {
+    try {
+      const rawHtml = item['content:encoded'] || item.description || item.summary || '';
+      const cleanContent = decode(rawHtml.replace(/<[^>]*>/g, ''));
+      const quickSummary = isYouTube ? '' : cleanContent.substring(0, 300).trim() + '...';
+      const hasFullContent = !isYouTube && cleanContent.length > 500;
+
+      const imageUrl = extractImageUrl(item);
+
+      parsed.push({
+        title: decode(item.title || ''),
+        link: item.link,
+        pubDate: item.pubDate || item.isoDate || null,
+        source: source.name,
+        category: source.category || '',
+        type: isYouTube ? 'youtube' : 'article',
+        summary: quickSummary,
+        originalContent: isYouTube ? '' : cleanContent,
+        imageUrl: imageUrl,
+        contentHtml: hasFullContent ? sanitizeArticleHtml(rawHtml) : null,
+        hasFullContent,
+        extractionMethod: isYouTube ? null : 'feed'
+      });
+    } catch (error) {
+      console.error(`Error processing article "${item.title}":`, error.message);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Extract teasers, flag paywalls and save a batch of parsed articles
+ * @returns {Promise<{articles: Array, newItemCount: number}>} Saved articles and how many were new
+ */
+async function ingestArticles(parsed, source) {
+  const isYouTube = source.rss?.includes('youtube.com/feeds/');
+
+  // Feed-proxy links hide the article URL, which is what we store and link to
+  for (const article of parsed) {
+    if (isFeedProxyUrl(article.link)) article.link = await resolveFeedProxy(article.link);
+  }
+
+  // Teasers: pull the full text from the article page unless the source opts out
+  if (!isYouTube && source.extractFullText !== false) {
+    await extractTeasers(parsed, source);
+  }
+  if (isYouTube) await carryYouTubeDescriptions(parsed);
+
+  // Flag paywalled items from their domain and whatever text we ended up with
+  if (!isYouTube) {
+    for (const article of parsed) {
+      if (article.paywalled) continue;
+      const paywall = detectPaywall({ url: article.link, text: article.originalContent });
+      article.paywalled = paywall.paywalled;
+      article.paywallReason = paywall.reason;
+    }
+  }
+
+  const articles = [];
+  let newItemCount = 0;
+
+  for (const article of parsed) {
+    try {
+      const saved = await saveArticle(article);
+      articles.push(saved);
+
+      if (saved.isNew) {
+        newItemCount++;
+        console.log(`  Saved: ${article.title}`);
+      }
+    } catch (error) {
+      console.error(`Error saving article "${article.title}":`, error.message);
+    }
+  }
+
+  return { articles, newItemCount };
 }
 
 /**
  * Fetch RSS feed from a single source with retry logic
+ * Sends ETag/Last-Modified validators from the previous fetch and skips the
+ * feed entirely on 304. Every outcome is recorded in source_health.
+ * A dry run fetches unconditionally, saves and records nothing, and throws on failure.
+ * @param {Object} source - Source config from the registry
+ * @param {Object} options
+ * @param {number} options.maxRetries - Attempts before giving up
+ * @param {boolean} options.dryRun - Parse only, without touching the database
+ * @returns {Promise<Array>} Parsed (and, unless dry run, saved) articles
  */
-async function fetchRSS(source, maxRetries = 3) {
+async function fetchRSS(source, { maxRetries = 3, dryRun = false } = {}) {
   let lastError = null;
-  const isYouTube = source.rss?.includes('youtube.com/feeds/');
+  let lastStatus = null;
+  const startTime = Date.now();
+
+  // Only reuse validators if they were issued for the current feed URL
+  const cache = dryRun ? null : await getFeedCache(source.name);
+  const conditionalHeaders = {};
+  if (cache && cache.feedUrl === source.rss) {
+    if (cache.etag) conditionalHeaders['If-None-Match'] = cache.etag;
+    if (cache.lastModified) conditionalHeaders['If-Modified-Since'] = cache.lastModified;
+  }
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       console.log(`Fetching RSS from ${source.name}${attempt > 1 ? ` (attempt ${attempt}/${maxRetries})` : ''}...`);
-      const feed = await parser.parseURL(source.rss);
-
-      const articles = [];
-
-      for (const item of feed.items.slice(0, 10)) {
-        try {
-          const rawHtml = item['content:encoded'] || item.description || item.summary || '';
-          const cleanContent = decode(rawHtml.replace(/<[^>]*>/g, ''));
-          const quickSummary = isYouTube ? '' : cleanContent.substring(0, 300).trim() + '...';
-          const hasFullContent = !isYouTube && cleanContent.length > 500;
-
-          const imageUrl = extractImageUrl(item);
-
-          const article = {
-            title: decode(item.title || ''),
-            link: item.link,
-            pubDate: item.pubDate || item.isoDate || new Date().toISOString(),
-            source: source.name,
-            category: source.category || '',
-            type: isYouTube ? 'youtube' : 'article',
-            summary: quickSummary,
-            originalContent: isYouTube ? '' : cleanContent,
-            imageUrl: imageUrl,
-            contentHtml: hasFullContent ? sanitizeArticleHtml(rawHtml) : null,
-            hasFullContent
-          };
-
-          await saveArticle(article);
-          articles.push(article);
-
-          console.log(`  Saved: ${item.title}`);
-        } catch (error) {
-          console.error(`Error processing article "${item.title}":`, error.message);
-        }
+      const response = await politeFetch(source.rss, {
+        headers: { ...FEED_HEADERS, ...conditionalHeaders },
+        timeoutMs: FEED_TIMEOUT_MS,
+      });
+      lastStatus = response.status;
+
+      if (response.status === 304) {
+        console.log(`  ${source.name}: not modified, skipping`);
+        await recordSourceFetch(source, {
+          status: 304,
+          newItemCount: 0,
+          latencyMs: Date.now() - startTime,
+          etag: cache.etag,
+          lastModified: cache.lastModified
+        });
+        return [];
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
 
+      const feed = await parser.parseString(await response.text());
+      const items = feed.items.slice(0, source.itemLimit || 10);
+
+      const parsed = parseFeedItems(items, source);
+      if (dryRun) return parsed;
+
+      const { articles, newItemCount } = await ingestArticles(parsed, source);
+
+      console.log(`  ${source.name}: ${items.length} items, ${newItemCount} new`);
+      await recordSourceFetch(source, {
+        status: response.status,
+        itemCount: items.length,
+        newItemCount,
+        latencyMs: Date.now() - startTime,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      });
+
       return articles;
     } catch (error) {
       lastError = error;
       console.error(`Error fetching RSS from ${source.name} (attempt ${attempt}/${maxRetries}):`, error.message);
 
+      // robots.txt won't change between retries
+      if (error.skipped) break;
+
       if (attempt < maxRetries) {
         const delay = Math.pow(2, attempt - 1) * 1000;
         console.log(`  Retrying in ${delay / 1000}s...`);
@@ -220,10 +357,36 @@ async function fetchRSS(source, maxRetries = 3) {
     }
   }
 
-  console.error(`Failed to fetch RSS from ${source.name} after ${maxRetries} attempts`);
+  if (!lastError?.skipped) console.error(`Failed to fetch RSS from ${source.name} after ${maxRetries} attempts`);
+  if (dryRun) throw lastError;
+
+  await recordSourceFetch(source, {
+    status: lastStatus,
+    newItemCount: 0,
+    latencyMs: Date.now() - startTime,
+    error: lastError?.message || 'Unknown error'
+  });
   return [];
 }
 
+/**
+ * Feed items carry no description; keep the one already stored for each video
+ * so saving the feed item doesn't blank it (and record a revision) until
+ * enrichYouTubeArticles fetches it again. Mutates in place. A failed lookup
+ * throws, so the fetch fails and nothing is saved rather than saving blanks.
+ */
+async function carryYouTubeDescriptions(articles) {
+  const stored = await getArticlesByLinks(articles.map(a => a.link).filter(Boolean));
+  for (const article of articles) {
+    const existing = stored.get(article.link);
+    if (existing?.extractionMethod !== 'youtube-description') continue;
+    article.summary = existing.summary;
+    article.originalContent = existing.originalContent;
+    article.hasFullContent = existing.hasFullContent;
+    article.extractionMethod = existing.extractionMethod;
+  }
+}
+
 /**
  * Fetch YouTube video description from the video page
  */
@@ -232,11 +395,12 @@ async function fetchYouTubeDescription(videoUrl) {
   if (!videoId) return null;
 
   try {
-    const resp = await fetch('https://www.youtube.com/watch?v=' + videoId, {
+    const resp = await politeFetch('https://www.youtube.com/watch?v=' + videoId, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+        'Accept': 'text/html',
         'Cookie': 'CONSENT=YES+cb.20210328-17-p0.en+FX+634'
-      }
+      },
+      timeoutMs: YOUTUBE_TIMEOUT_MS,
     });
     const html = await resp.text();
 
@@ -257,7 +421,7 @@ async function fetchYouTubeDescription(videoUrl) {
 }
 
 /**
- * Enrich YouTube articles with video descriptions (parallel, with timeout)
+ * Enrich YouTube articles with video descriptions (queued per host by the HTTP layer)
  */
 async function enrichYouTubeArticles(articles) {
   const youtubeArticles = articles.filter(a => a.type === 'youtube' && a.link);
@@ -267,19 +431,13 @@ async function enrichYouTubeArticles(articles) {
 
   const results = await Promise.allSettled(
     youtubeArticles.map(async (article) => {
-      // 10-second timeout per video
-      const timeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Description fetch timed out')), 10000)
-      );
-      const description = await Promise.race([
-        fetchYouTubeDescription(article.link),
-        timeout
-      ]);
+      const description = await fetchYouTubeDescription(article.link);
 
       if (description) {
         article.summary = description.substring(0, 300).trim() + '...';
         article.originalContent = description;
         article.hasFullContent = description.length > 500;
+        article.extractionMethod = 'youtube-description';
         await saveArticle(article);
         return true;
       }
@@ -295,26 +453,22 @@ async function enrichYouTubeArticles(articles) {
  * Fetch all RSS feeds + run newsroom scrapers
  */
 export async function fetchAllFeeds() {
-  const config = await loadSources();
+  const sources = await getEnabledSources();
   const startTime = Date.now();
+  beginCrawlRun();
 
-  console.log(`\nFetching from ${config.sources.length} RSS sources + 3 scrapers (parallel, max 5 concurrent)...`);
+  console.log(`\nFetching from ${sources.length} RSS sources + newsroom scrapers (parallel, max 5 concurrent)...`);
 
-  // Fetch RSS feeds with concurrency limiter
+  // Fetch RSS feeds with concurrency limiter (highest priority sources start first)
   const limit = createLimiter(5);
   const rssResults = await Promise.all(
-    config.sources.map(source => limit(() => fetchRSS(source)))
+    sources.map(source => limit(() => fetchRSS(source)))
   );
 
-  // Run all 3 newsroom scrapers in parallel
-  const [rocketArticles, blendArticles, iceArticles] = await Promise.all([
-    scrapeRocketPressReleases(10),
-    scrapeBlendNewsroom(10),
-    scrapeICEMortgageTech(10)
-  ]);
+  // Run all configured newsroom scrapers in parallel
+  const { scraperCount, articles: scraperArticles } = await scrapeAllNewsrooms(10);
 
   // Save scraped articles to DB
-  const scraperArticles = [...rocketArticles, ...blendArticles, ...iceArticles];
   for (const article of scraperArticles) {
     try {
       await saveArticle(article);
@@ -328,9 +482,18 @@ export async function fetchAllFeeds() {
   // Enrich YouTube articles with video descriptions
   await enrichYouTubeArticles(allArticles);
 
+  // Group syndicated and re-reported coverage into stories
+  await clusterRecentArticles();
+
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
-  console.log(`\nTotal articles fetched: ${allArticles.length} (${rssResults.flat().length} RSS + ${scraperArticles.length} scraped) in ${elapsed}s\n`);
+  console.log(`\nTotal articles fetched: ${allArticles.length} (${rssResults.flat().length} RSS + ${scraperArticles.length} scraped from ${scraperCount} newsrooms) in ${elapsed}s\n`);
+
+  const { skipped } = getCrawlRunReport();
+  if (skipped.length > 0) {
+    console.log(`[HTTP] Skipped ${skipped.length} URL(s) this run:`);
+    for (const entry of skipped) console.log(`  ${entry.url} — ${entry.reason}`);
+  }
   return allArticles;
 }
 
@@ -341,3 +504,211 @@ export async function getSources() {
   const config = await loadSources();
   return config.sources;
 }
+
+/**
+ * Dry-run a source definition: fetch and parse its feed without saving anything
+ * @param {Object} input - Source definition (validated against the registry schema)
+ * @returns {Promise<Object>} The normalized source and the items it would produce
+ */
+export async function testSource(input) {
+  const source = prepareSource(input);
+  const startTime = Date.now();
+  const items = await fetchRSS(source, { maxRetries: 1, dryRun: true });
+
+  return {
+    source,
+    latencyMs: Date.now() - startTime,
+    itemCount: items.length,
+    items: items.map(item => ({
+      title: item.title,
+      link: item.link,
+      pubDate: item.pubDate,
+      type: item.type,
+      summary: item.summary,
+      imageUrl: item.imageUrl,
+      hasFullContent: item.hasFullContent
+    }))
+  };
+}
+
+/**
+ * Find the URL of the next (older) page of a feed from its rel="next" link
+ * @returns {string|null} Absolute URL, or null when the feed publishes none
+ */
+function findNextLink(xml, pageUrl) {
+  const linkTags = xml.match(/<(?:atom:)?link\b[^>]*>/gi) || [];
+  for (const tag of linkTags) {
+    if (!/\brel=["']next["']/i.test(tag)) continue;
+    const href = tag.match(/\bhref=["']([^"']+)["']/i);
+    if (href) {
+      try { return new URL(decode(href[1]), pageUrl).toString(); } catch { /* ignore malformed links */ }
+    }
+  }
+  return null;
+}
+
+/**
+ * Backfill a source's archive by walking its feed pages back to a date.
+ * Feeds that publish rel="next" links (Atom paging) are followed as given;
+ * anything else is assumed to be WordPress, which pages with ?paged=N. Pages
+ * are fetched one at a time with a pause between them. Walking stops once a
+ * page is entirely older than the range, when a page repeats or comes back
+ * empty/404, or after maxPages. Articles added this way are marked as already
+ * digested so they don't all land in the next daily digest. If a later page
+ * fails, the walk stops there and the report carries the error; a failing
+ * first page throws.
+ * @param {string} name - Source name from the registry
+ * @param {Object} options
+ * @param {Date} options.since - Oldest publish date to keep
+ * @param {Date} [options.until] - Newest publish date to keep (default: now)
+ * @param {number} [options.maxPages] - Page limit
+ * @param {number} [options.delayMs] - Pause between page requests
+ * @returns {Promise<Object>} Report with pages walked, items seen, articles added, and `error` when stopped by one
+ */
+export async function backfillSource(name, { since, until = new Date(), maxPages = BACKFILL_MAX_PAGES, delayMs = BACKFILL_DELAY_MS } = {}) {
+  const source = await getSource(name);
+  if (!source) {
+    throw Object.assign(new Error(`Source "${name}" not found`), { status: 404 });
+  }
+  if (source.rss?.includes('youtube.com/feeds/')) {
+    throw Object.assign(new Error('YouTube feeds only expose their latest videos and cannot be backfilled'), { status: 400 });
+  }
+
+  const startTime = Date.now();
+  const report = { source: source.name, since: since.toISOString(), until: until.toISOString(), pages: 0, itemsSeen: 0, inRange: 0, added: 0, stoppedBecause: 'max pages reached' };
+  const seenLinks = new Set();
+  const addedIds = [];
+  let pageUrl = source.rss;
+  let followsNextLinks = false;
+
+  console.log(`[Backfill] ${source.name}: ${report.since.split('T')[0]} to ${report.until.split('T')[0]} (max ${maxPages} pages)`);
+
+  try {
+    for (let page = 1; page <= maxPages; page++) {
+      if (page > 1) await sleep(delayMs);
+
+      const response = await politeFetch(pageUrl, {
+        headers: FEED_HEADERS,
+        timeoutMs: FEED_TIMEOUT_MS,
+      });
+
+      // Paging past the end of a WordPress archive returns 404
+      if (response.status === 404 && page > 1) {
+        report.stoppedBecause = 'no more pages';
+        break;
+      }
+      if (!response.ok) {
+        throw Object.assign(new Error(`HTTP ${response.status} fetching page ${page} (${pageUrl})`), { status: 502 });
+      }
+
+      const xml = await response.text();
+      const feed = await parser.parseString(xml);
+      const items = feed.items.filter(item => item.link && !seenLinks.has(item.link));
+
+      if (items.length === 0) {
+        report.stoppedBecause = feed.items.length === 0 ? 'no more pages' : 'feed does not page';
+        break;
+      }
+
+      report.pages = page;
+
+      report.itemsSeen += items.length;
+      for (const item of items) seenLinks.add(item.link);
+
+      const dated = items.map(item => ({ item, date: new Date(item.pubDate || item.isoDate || NaN) }));
+      const inRange = dated
+        .filter(({ date }) => !isNaN(date.getTime()) && date >= since && date <= until)
+        .map(({ item }) => item);
+      report.inRange += inRange.length;
+
+      if (inRange.length > 0) {
+        const { articles, newItemCount } = await ingestArticles(parseFeedItems(inRange, source), source);
+        report.added += newItemCount;
+        addedIds.push(...articles.filter(a => a.isNew).map(a => a.id));
+      }
+
+      console.log(`[Backfill] ${source.name}: page ${page}, ${items.length} items, ${inRange.length} in range`);
+
+      const datedTimes = dated.map(({ date }) => date.getTime()).filter(time => !isNaN(time));
+      if (datedTimes.length > 0 && Math.max(...datedTimes) < since.getTime()) {
+        report.stoppedBecause = 'reached start date';
+        break;
+      }
+
+      const nextLink = findNextLink(xml, pageUrl);
+      if (nextLink) {
+        followsNextLinks = true;
+        pageUrl = nextLink;
+      } else if (followsNextLinks) {
+        report.stoppedBecause = 'no more pages';
+        break;
+      } else {
+        const url = new URL(source.rss);
+        url.searchParams.set('paged', String(page + 1));
+        pageUrl = url.toString();
+      }
+    }
+  } catch (error) {
+    // A failure on the first page is the caller's error; later, keep what earlier pages added
+    if (report.pages === 0) throw error;
+    report.stoppedBecause = 'error';
+    report.error = error.message;
+    console.error(`[Backfill] ${source.name}: stopped after page ${report.pages}: ${error.message}`);
+  } finally {
+    // Even after a failed page, what was ingested must not flood the next digest
+    await markArticlesDigested(addedIds);
+  }
+  report.elapsedMs = Date.now() - startTime;
+
+  console.log(`[Backfill] ${source.name}: added ${report.added} articles from ${report.pages} pages (${report.stoppedBecause})`);
+  return report;
+}
+
+/**
+ * Build a health report for every configured RSS source
+ * broken  — the most recent fetch failed
+ * quiet   — fetches succeed but nothing new has appeared for quietDays
+ * unknown — never fetched since tracking began
+ * disabled — turned off in the source registry
+ * @param {Object} options
+ * @param {number} options.quietDays - Days without new items before a feed counts as quiet
+ * @returns {Promise<Object>} Report with per-source status and a summary count
+ */
+export async function getSourceHealthReport({ quietDays = DEFAULT_QUIET_DAYS } = {}) {
+  const config = await loadSources();
+  const healthRows = await getSourceHealth();
+  const healthBySource = new Map(healthRows.map(row => [row.source, row]));
+  const quietCutoff = Date.now() - quietDays * 24 * 60 * 60 * 1000;
+
+  const sources = config.sources.map(source => {
+    const health = healthBySource.get(source.name);
+    if (!health) {
+      return { name: source.name, category: source.category, rss: source.rss, status: source.enabled ? 'unknown' : 'disabled' };
+    }
+
+    let status = 'ok';
+    if (!source.enabled) {
+      status = 'disabled';
+    } else if (health.consecutiveFailures > 0) {
+      status = 'broken';
+    } else {
+      // A feed that has never produced a new item counts from when tracking began
+      const lastActivity = health.lastNewItemAt || health.trackedSince;
+      if (!lastActivity || new Date(lastActivity).getTime() < quietCutoff) status = 'quiet';
+    }
+
+    const { source: _name, ...fields } = health;
+    return { name: source.name, category: source.category, status, ...fields };
+  });
+
+  const summary = { ok: 0, quiet: 0, broken: 0, unknown: 0, disabled: 0 };
+  for (const source of sources) summary[source.status]++;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    quietDays,
+    summary,
+    sources,
+    crawl: getCrawlRunReport()
+  };
+}
@@ -1,9 +1,21 @@
 import cron from 'node-cron';
 import { fetchAllFeeds } from './rssFetcher.js';
-import { getArticles, cleanOldArticles } from './db.js';
+import { iterateArticles, markArticlesDigested, appendDigest, readRecentDigests, startRun, finishRun } from './storage.js';
 import { generateInsights, generateWeeklySummary } from './insightsGenerator.js';
 import { sendDigestEmail } from './emailSender.js';
-import { appendDigest, readRecentDigests } from './archiver.js';
+import { groupArticlesIntoStories } from './storyClusterer.js';
+import { enrichArticles } from './articleEnricher.js';
+import { computeTrends } from './trendEngine.js';
+import { recordDigestSignals } from './competitorIntel.js';
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+import { runRetention } from './retention.js';
+import { getEnabledProfiles, getDefaultProfileId } from './profileRegistry.js';
+
+// Undigested articles first seen longer ago than this are left out, so an
+// extended outage doesn't flood the next digest with stale news
+const DIGEST_MAX_LOOKBACK_DAYS = 7;
+// Rising and falling entries in the weekly email's Trending section
+const TRENDING_EMAIL_LIMIT = 5;
 
 /**
  * In-memory state for the /health endpoint
@@ -17,87 +29,199 @@ export const digestState = {
 };
 
 /**
- * Run the full daily digest pipeline
+ * Today's date as used in digest objects
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Generate, email and archive one profile's digest
+ * @param {Object} profile - Analyst profile
+ * @param {Array} articles - The profile's share of today's undigested articles
+ * @param {Object} context - { runId, label, weekly, defaultProfileId, profileCount }
+ * @returns {Promise<{emailStatus: string, storyCount: number, digested: boolean}>} digested is
+ *   false when insights generation failed, so the articles are left for the next run
+ */
+async function runProfileDigest(profile, articles, { runId, label, weekly, defaultProfileId, profileCount }) {
+  const emailOptions = { to: profile.email, label };
+
+  // Zero articles → send "nothing new" email, skip Claude
+  if (articles.length === 0) {
+    const emptyDigest = {
+      date: today(),
+      top_insights: [],
+      competitive_signals: [],
+      worth_reading: [],
+      nothing_notable: true,
+      article_count: 0,
+      source_count: 0
+    };
+    const emailResult = await sendDigestEmail(emptyDigest, null, emailOptions);
+    console.log(`[Signal] ${profile.id}: no articles. Email: ${emailResult.status}`);
+    return { emailStatus: emailResult.status, storyCount: 0, digested: true };
+  }
+
+  // Collapse duplicate coverage to one entry per story, then generate insights via Claude
+  const stories = await groupArticlesIntoStories(articles);
+  console.log(`[Signal] ${profile.id}: ${articles.length} articles grouped into ${stories.length} stories`);
+
+  const digest = await generateInsights(stories, profile, { runId });
+  digest.profile = profile.id;
+  digest.article_count = articles.length;
+  digest.source_count = new Set(articles.map(a => a.source)).size;
+  digest.story_count = stories.length;
+  digest.run_id = runId;
+
+  // Enrich digest items with article IDs for reader link routing, and
+  // how many outlets covered the story. Any covering link finds its story,
+  // matched on canonical URL since the model doesn't always echo links exactly.
+  const storiesByUrl = new Map();
+  for (const story of stories) {
+    for (const covered of story.coverage) storiesByUrl.set(canonicalizeUrl(covered.link), story);
+    storiesByUrl.set(canonicalizeUrl(story.link), story);
+  }
+
+  for (const item of [...(digest.top_insights || []), ...(digest.worth_reading || [])]) {
+    const match = storiesByUrl.get(canonicalizeUrl(item.url));
+    if (match) {
+      item.article_id = match.id;
+      item.has_full_content = match.hasFullContent || false;
+      item.paywalled = match.paywalled || false;
+      item.coverage_count = match.coverageSources.length;
+      item.coverage_sources = match.coverageSources;
+    }
+  }
+
+  // Friday → weekly summary of this profile's recent digests (ones archived
+  // before profiles existed belong to the default profile), plus what's
+  // trending in its categories against the last few weeks
+  let weeklyBullets = null;
+  if (weekly) {
+    console.log(`[Signal] Friday detected — generating weekly summary for ${profile.id}`);
+    const recentDigests = (await readRecentDigests(5 * profileCount))
+      .filter(d => (d.profile || defaultProfileId) === profile.id)
+      .slice(0, 5);
+    weeklyBullets = await generateWeeklySummary(recentDigests, profile, { runId });
+
+    // Trends are extra; a failure drops the Trending section, not the digest
+    try {
+      const trends = await computeTrends({ categories: profile.categories, limit: TRENDING_EMAIL_LIMIT });
+      digest.trending = { week: trends.week, rising: trends.rising, falling: trends.falling };
+      console.log(`[Signal] ${profile.id}: ${trends.rising.length} rising, ${trends.falling.length} falling trends`);
+    } catch (error) {
+      console.error(`[Signal] ${profile.id}: trends failed, sending without Trending:`, error.message);
+    }
+  }
+
+  const emailResult = await sendDigestEmail(digest, weeklyBullets, emailOptions);
+
+  // Archive the digest (always, even if email fails), and file its
+  // competitive signals under each competitor's dossier
+  await appendDigest(digest);
+  await recordDigestSignals(digest, stories);
+
+  if (digest.failed) {
+    console.error(`[Signal] ${profile.id}: insights generation failed (${digest.failed}), its articles stay undigested`);
+  }
+  console.log(`[Signal] ${profile.id}: ${digest.top_insights?.length || 0} insights, email: ${emailResult.status}`);
+  return { emailStatus: emailResult.status, storyCount: stories.length, digested: !digest.failed };
+}
+
+/**
+ * One status for several emails: the shared status, or "partial"
+ */
+function combineEmailStatus(statuses) {
+  const distinct = [...new Set(statuses)];
+  return distinct.length === 1 ? distinct[0] : 'partial';
+}
+
+/**
+ * Run the full daily digest pipeline: fetch once, then one digest per
+ * enabled analyst profile, each limited to the profile's categories
  */
 export async function runDailyDigest() {
   const startTime = Date.now();
   console.log(`\n[Signal] Starting daily digest pipeline at ${new Date().toISOString()}`);
+  const runId = await startRun();
 
   try {
+    const profiles = await getEnabledProfiles();
+    if (profiles.length === 0) throw new Error('No enabled analyst profiles in profiles.json');
+    const defaultProfileId = await getDefaultProfileId();
+
     // 1. Fetch RSS + scrape newsrooms
     await fetchAllFeeds();
 
-    // 2. Query articles from last 24 hours
-    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const articles = await getArticles({ startDate: since.toISOString() });
-
-    digestState.articleCount = articles.length;
-    console.log(`[Signal] ${articles.length} articles from last 24 hours`);
-
-    // 3. Zero articles → send "nothing new" email, skip Claude
-    if (articles.length === 0) {
-      const emptyDigest = {
-        date: new Date().toISOString().split('T')[0],
-        top_insights: [],
-        competitive_signals: [],
-        worth_reading: [],
-        nothing_notable: true,
-        article_count: 0,
-        source_count: 0
-      };
-      const emailResult = await sendDigestEmail(emptyDigest);
-      digestState.emailStatus = emailResult.status;
-      digestState.lastDigestRun = new Date().toISOString();
-      console.log(`[Signal] No articles found. Email: ${emailResult.status}`);
-      return;
+    // 2. Select every article not yet included in a digest (by first-seen time,
+    //    whatever pubDate the source claims)
+    const digestRunAt = new Date();
+    const lookback = new Date(Date.now() - DIGEST_MAX_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const articles = [];
+    for await (const article of iterateArticles({ undigested: true, firstSeenAfter: lookback.toISOString() })) {
+      articles.push(article);
     }
 
-    // 4. Generate insights via Claude
-    const digest = await generateInsights(articles);
+    digestState.articleCount = articles.length;
+    console.log(`[Signal] ${articles.length} new articles since last digest, ${profiles.length} profile(s)`);
 
-    // 4b. Enrich digest items with article IDs for reader link routing
-    const articlesByUrl = new Map(articles.map(a => [a.link, a]));
+    // 3. Enrich new and changed articles once (summary, companies, topics, relevance)
+    await enrichArticles(articles, profiles, { runId });
 
-    for (const insight of (digest.top_insights || [])) {
-      const match = articlesByUrl.get(insight.url);
-      if (match) {
-        insight.article_id = match.id;
-        insight.has_full_content = match.hasFullContent || false;
+    // 4. One digest per profile
+    const context = {
+      runId,
+      weekly: new Date().getDay() === 5, // Friday
+      defaultProfileId,
+      profileCount: profiles.length
+    };
+    // A profile that throws is recorded as failed; the others' digests (and
+    // emails) still count
+    const outcomes = [];
+    const digestedIds = new Set();
+    const failedIds = new Set();
+    for (const profile of profiles) {
+      const profileArticles = profile.categories ? articles.filter(a => profile.categories.includes(a.category)) : articles;
+      const label = profiles.length > 1 ? profile.name : null;
+      try {
+        const outcome = await runProfileDigest(profile, profileArticles, { ...context, label });
+        outcomes.push({ profile: profile.id, ...outcome });
+        profileArticles.forEach(a => (outcome.digested ? digestedIds : failedIds).add(a.id));
+      } catch (error) {
+        console.error(`[Signal] ${profile.id}: digest failed:`, error.message);
+        outcomes.push({ profile: profile.id, emailStatus: 'failed', storyCount: 0, digested: false, error: error.message });
+        profileArticles.forEach(a => failedIds.add(a.id));
       }
     }
-    for (const item of (digest.worth_reading || [])) {
-      const match = articlesByUrl.get(item.url);
-      if (match) {
-        item.article_id = match.id;
-        item.has_full_content = match.hasFullContent || false;
-      }
-    }
-
-    // 5. Friday check → weekly summary
-    let weeklyBullets = null;
-    const today = new Date();
-    if (today.getDay() === 5) { // Friday
-      console.log('[Signal] Friday detected — generating weekly summary');
-      const recentDigests = await readRecentDigests(5);
-      weeklyBullets = await generateWeeklySummary(recentDigests);
-    }
-
-    // 6. Send email
-    const emailResult = await sendDigestEmail(digest, weeklyBullets);
-    digestState.emailStatus = emailResult.status;
 
-    // 7. Archive to JSONL (always, even if email fails)
-    await appendDigest(digest);
+    // 5. The watermark is shared by every profile, so only advance it for
+    //    articles every profile covering them digested. Anything a failed
+    //    profile covers (or no profile covers) is selected again next run,
+    //    until it ages out of the lookback, so the failed profile still gets
+    //    it; profiles that succeeded may see it a second time.
+    await markArticlesDigested([...digestedIds].filter(id => !failedIds.has(id)), digestRunAt);
 
-    // 8. Update state
+    // 6. Update state
+    const emailStatus = combineEmailStatus(outcomes.map(o => o.emailStatus));
+    const failed = outcomes.filter(o => !o.digested);
+    const failure = failed.length > 0 ? `Digest failed for ${failed.map(o => o.profile).join(', ')}` : null;
+    digestState.emailStatus = emailStatus;
     digestState.lastDigestRun = new Date().toISOString();
-    digestState.lastError = null;
+    digestState.lastError = failure;
+    await finishRun(runId, {
+      status: failed.length === 0 ? 'ok' : failed.length === outcomes.length ? 'failed' : 'partial',
+      articleCount: articles.length,
+      storyCount: outcomes.reduce((sum, o) => sum + o.storyCount, 0),
+      emailStatus,
+      error: failure
+    });
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`[Signal] Complete in ${elapsed}s — ${articles.length} articles, ${digest.top_insights?.length || 0} insights, email: ${emailResult.status}`);
+    console.log(`[Signal] Complete in ${elapsed}s — ${articles.length} articles, ${profiles.length} digest(s), email: ${emailStatus}`);
 
   } catch (error) {
     digestState.lastError = error.message;
+    await finishRun(runId, { status: 'failed', error: error.message });
     console.error('[Signal] Pipeline error:', error.message);
   }
 }
@@ -118,8 +242,8 @@ export function initScheduler() {
   cron.schedule('0 0 * * 0', async () => {
     console.log('\n[Scheduler] Running weekly cleanup...');
     try {
-      const result = await cleanOldArticles();
-      console.log(`[Scheduler] Cleanup completed. Removed ${result.removed} old articles`);
+      const result = await runRetention();
+      console.log(`[Scheduler] Cleanup completed. Archived ${result.archived} expired articles, kept ${result.pinned} pinned`);
     } catch (error) {
       console.error('[Scheduler] Error during cleanup:', error);
     }
@@ -0,0 +1,238 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonRegistry, validateEntries, registryError } from './jsonRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SOURCES_PATH = process.env.SOURCES_PATH || path.join(__dirname, 'sources.json');
+
+const DEFAULT_ITEM_LIMIT = 10;
+const MAX_ITEM_LIMIT = 100;
+const KNOWN_FIELDS = ['name', 'category', 'url', 'rss', 'itemLimit', 'enabled', 'priority', 'extractFullText'];
+
+let writeQueue = Promise.resolve();
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a single raw source definition
+ * @param {Object} source - Source as stored in sources.json
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateSource(source) {
+  const errors = [];
+
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return ['source must be an object'];
+  }
+
+  if (typeof source.name !== 'string' || !source.name.trim()) {
+    errors.push('name is required');
+  }
+  if (typeof source.category !== 'string' || !source.category.trim()) {
+    errors.push('category is required');
+  }
+  if (!isHttpUrl(source.rss)) {
+    errors.push('rss must be an http(s) URL');
+  }
+  if (source.url !== undefined && !isHttpUrl(source.url)) {
+    errors.push('url must be an http(s) URL');
+  }
+  if (source.itemLimit !== undefined &&
+      (!Number.isInteger(source.itemLimit) || source.itemLimit < 1 || source.itemLimit > MAX_ITEM_LIMIT)) {
+    errors.push(`itemLimit must be an integer between 1 and ${MAX_ITEM_LIMIT}`);
+  }
+  if (source.enabled !== undefined && typeof source.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (source.priority !== undefined && !Number.isInteger(source.priority)) {
+    errors.push('priority must be an integer');
+  }
+  if (source.extractFullText !== undefined && typeof source.extractFullText !== 'boolean') {
+    errors.push('extractFullText must be true or false');
+  }
+
+  const unknown = Object.keys(source).filter(key => !KNOWN_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  return errors;
+}
+
+function validateRegistry(config) {
+  return validateEntries(config, {
+    fileName: 'sources.json',
+    listKey: 'sources',
+    idField: 'name',
+    validateEntry: validateSource,
+    idKey: name => name.trim().toLowerCase()
+  });
+}
+
+/**
+ * Apply defaults for optional per-source settings
+ */
+function normalizeSource(source) {
+  return {
+    ...source,
+    itemLimit: source.itemLimit ?? DEFAULT_ITEM_LIMIT,
+    enabled: source.enabled ?? true,
+    priority: source.priority ?? 0,
+    extractFullText: source.extractFullText ?? true
+  };
+}
+
+// An invalid sources.json keeps the last good registry in place; with nothing
+// to fall back on, loading throws rather than returning an empty source list
+const sourcesFile = createJsonRegistry({
+  filePath: SOURCES_PATH,
+  fileName: 'sources.json',
+  listKey: 'sources',
+  tag: 'Sources',
+  validate: validateRegistry
+});
+
+/**
+ * Apply a change to the source list and persist it to sources.json.
+ * Changes are serialized so concurrent admin requests never overwrite each other.
+ * @param {Function} mutate - Receives the current raw sources, returns { sources, result }
+ */
+function mutateSources(mutate) {
+  const write = writeQueue.then(async () => {
+    const current = await sourcesFile.load();
+    const { sources, result } = mutate(current.sources);
+
+    const config = { sources };
+    const errors = validateRegistry(config);
+    if (errors.length > 0) {
+      throw registryError('Source failed validation', 400, errors);
+    }
+
+    await sourcesFile.save(config);
+    console.log(`[Sources] Saved ${sources.length} sources`);
+    return result;
+  });
+
+  // Keep the queue alive after a failed write
+  writeQueue = write.catch(() => {});
+  return write;
+}
+
+function findIndex(sources, name) {
+  const key = String(name).trim().toLowerCase();
+  return sources.findIndex(source => source.name.trim().toLowerCase() === key);
+}
+
+/**
+ * Load all configured sources (including disabled ones) with defaults applied
+ */
+export async function loadSources() {
+  const current = await sourcesFile.load();
+  return { sources: current.sources.map(normalizeSource) };
+}
+
+/**
+ * Enabled sources only, highest priority first
+ */
+export async function getEnabledSources() {
+  const { sources } = await loadSources();
+  return sources
+    .filter(source => source.enabled)
+    .sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Registry contents plus reload metadata for the admin API
+ */
+export async function listSources() {
+  const current = await sourcesFile.load();
+  return {
+    sources: current.sources.map(normalizeSource),
+    loadedAt: current.loadedAt,
+    lastReloadError: sourcesFile.lastReloadError()
+  };
+}
+
+/**
+ * Get one source by name (case-insensitive)
+ */
+export async function getSource(name) {
+  const current = await sourcesFile.load();
+  const index = findIndex(current.sources, name);
+  return index === -1 ? null : normalizeSource(current.sources[index]);
+}
+
+/**
+ * Validate a definition without saving it, returning it with defaults applied
+ */
+export function prepareSource(input) {
+  const errors = validateSource(input);
+  if (errors.length > 0) {
+    throw registryError('Source failed validation', 400, errors);
+  }
+  return normalizeSource({ ...input, name: input.name.trim() });
+}
+
+/**
+ * Add a new source and persist it to sources.json
+ */
+export async function addSource(input) {
+  const source = { ...input, name: typeof input?.name === 'string' ? input.name.trim() : input?.name };
+  const errors = validateSource(source);
+  if (errors.length > 0) {
+    throw registryError('Source failed validation', 400, errors);
+  }
+
+  return mutateSources(sources => {
+    if (findIndex(sources, source.name) !== -1) {
+      throw registryError(`Source "${source.name}" already exists`, 409);
+    }
+    return { sources: [...sources, source], result: normalizeSource(source) };
+  });
+}
+
+/**
+ * Merge changes into an existing source and persist; null values remove optional settings
+ */
+export async function updateSource(name, changes) {
+  return mutateSources(sources => {
+    const index = findIndex(sources, name);
+    if (index === -1) {
+      throw registryError(`Source "${name}" not found`, 404);
+    }
+
+    const updated = { ...sources[index], ...changes };
+    for (const [key, value] of Object.entries(updated)) {
+      if (value === null) delete updated[key];
+    }
+    if (typeof updated.name === 'string') updated.name = updated.name.trim();
+
+    const next = [...sources];
+    next[index] = updated;
+    return { sources: next, result: normalizeSource(updated) };
+  });
+}
+
+/**
+ * Remove a source and persist
+ */
+export async function removeSource(name) {
+  return mutateSources(sources => {
+    const index = findIndex(sources, name);
+    if (index === -1) {
+      throw registryError(`Source "${name}" not found`, 404);
+    }
+    return {
+      sources: sources.filter((_, i) => i !== index),
+      result: normalizeSource(sources[index])
+    };
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Storage interface used by the rest of the pipeline
+ *
+ * STORAGE_DRIVER picks the implementation:
+ *   postgres (default) — db.js against DATABASE_URL, digests in the JSONL archive
+ *   memory             — memoryStore.js, nothing persisted (laptops and tests)
+ *
+ * The driver is loaded on first use, so importing this module (or anything
+ * that imports it) never needs a database.
+ */
+
+const DRIVERS = {
+  postgres: async () => {
+    const [db, archiver, migrator] = await Promise.all([
+      import('./db.js'),
+      import('./archiver.js'),
+      import('./migrator.js')
+    ]);
+    return {
+      ...db,
+      appendDigest: archiver.appendDigest,
+      readRecentDigests: archiver.readRecentDigests,
+      init: migrator.assertSchemaCurrent
+    };
+  },
+  memory: () => import('./memoryStore.js')
+};
+
+let driver = null;
+
+/**
+ * Name of the configured storage driver
+ */
+export function getStorageDriver() {
+  return (process.env.STORAGE_DRIVER || 'postgres').trim().toLowerCase();
+}
+
+function getDriver() {
+  if (!driver) {
+    const name = getStorageDriver();
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+    }
+    driver = DRIVERS[name]().catch(error => {
+      driver = null;
+      throw error;
+    });
+  }
+  return driver;
+}
+
+function delegate(name) {
+  return async (...args) => (await getDriver())[name](...args);
+}
+
+/**
+ * Prepare the configured driver. For Postgres this throws unless every
+ * migration has been applied, so a stale schema stops startup.
+ */
+export const initStorage = delegate('init');
+
+// Articles
+export const saveArticle = delegate('saveArticle');
+export const getArticlesByLinks = delegate('getArticlesByLinks');
+export const getArticles = delegate('getArticles');
+export const getArticlesPage = delegate('getArticlesPage');
+export const getArticleById = delegate('getArticleById');
+export const getArticleRevisions = delegate('getArticleRevisions');
+export const getEnrichmentsByHash = delegate('getEnrichmentsByHash');
+export const saveArticleEnrichment = delegate('saveArticleEnrichment');
+export const recordExtractionAttempts = delegate('recordExtractionAttempts');
+export const searchArticles = delegate('searchArticles');
+export const markArticlesDigested = delegate('markArticlesDigested');
+export const getSources = delegate('getSources');
+export const archiveExpiredArticles = delegate('archiveExpiredArticles');
+
+/**
+ * Stream every matching article, newest first, a page at a time
+ */
+export async function* iterateArticles(filters = {}, options = {}) {
+  yield* (await getDriver()).iterateArticles(filters, options);
+}
+
+// Story clustering
+export const getUnclusteredArticles = delegate('getUnclusteredArticles');
+export const getStorySignatures = delegate('getStorySignatures');
+export const assignArticleToStory = delegate('assignArticleToStory');
+export const refreshStories = delegate('refreshStories');
+export const getStoryMembers = delegate('getStoryMembers');
+
+// Source health
+export const getFeedCache = delegate('getFeedCache');
+export const recordSourceFetch = delegate('recordSourceFetch');
+export const getSourceHealth = delegate('getSourceHealth');
+
+// Digest archive
+export const appendDigest = delegate('appendDigest');
+export const readRecentDigests = delegate('readRecentDigests');
+
+// Pipeline runs
+export const startRun = delegate('startRun');
+export const finishRun = delegate('finishRun');
+export const getRecentRuns = delegate('getRecentRuns');
+
+// LLM usage
+export const recordLlmUsage = delegate('recordLlmUsage');
+export const getLlmUsageTotals = delegate('getLlmUsageTotals');
+
+// Competitor signals
+export const saveCompetitorSignals = delegate('saveCompetitorSignals');
+export const getCompetitorSignalCounts = delegate('getCompetitorSignalCounts');
+export const getCompetitorSignals = delegate('getCompetitorSignals');
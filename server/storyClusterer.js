@@ -0,0 +1,179 @@
+import { getUnclusteredArticles, getStorySignatures, assignArticleToStory, refreshStories, getStoryMembers } from './storage.js';
+
+const SHINGLE_SIZE = 3;
+const SIGNATURE_SIZE = 64;
+const BODY_CHARS = 3000;
+const MIN_SHINGLES = 8;
+// Estimated Jaccard similarity at which two articles count as the same story
+const SIMILARITY_THRESHOLD = 0.3;
+const CLUSTER_WINDOW_DAYS = 7;
+
+/**
+ * Word shingles over an article's title and the start of its body
+ * @param {string} text - Text to shingle
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>}
+ */
+export function shingle(text, size = SHINGLE_SIZE) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const shingles = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    shingles.add(words.slice(i, i + size).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * 32-bit FNV-1a with a seed, so one function yields independent hashes
+ */
+function hash32(str, seed) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * MinHash signature of a shingle set. The k-th hash is h1 + k·h2 (double
+ * hashing), and values are stored as signed 32-bit ints to fit INTEGER[].
+ * @param {Set<string>} shingles - Output of shingle()
+ * @param {number} size - Signature length
+ * @returns {Array<number>|null} Signature, or null for an empty set
+ */
+export function minhashSignature(shingles, size = SIGNATURE_SIZE) {
+  if (shingles.size === 0) return null;
+
+  const signature = new Array(size).fill(0xffffffff);
+  for (const value of shingles) {
+    const h1 = hash32(value, 0);
+    const h2 = hash32(value, 0x9e3779b9) | 1;
+    for (let k = 0; k < size; k++) {
+      const combined = (h1 + Math.imul(k, h2)) >>> 0;
+      if (combined < signature[k]) signature[k] = combined;
+    }
+  }
+  return signature.map(value => value | 0);
+}
+
+/**
+ * Estimated Jaccard similarity: the share of signature slots that agree
+ */
+export function estimateSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+function articleText(article) {
+  return `${article.title || ''} ${(article.originalContent || article.summary || '').substring(0, BODY_CHARS)}`;
+}
+
+/**
+ * Group recently seen articles into stories. Each unclustered article joins
+ * the story of its most similar recent article when the estimated similarity
+ * clears the threshold, and otherwise starts a story of its own. Videos and
+ * near-empty articles are never matched, so they always stand alone.
+ * @returns {Promise<{clustered: number, joined: number}>} Articles processed, and how many joined an existing story
+ */
+export async function clusterRecentArticles() {
+  const since = new Date(Date.now() - CLUSTER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const pending = await getUnclusteredArticles(since);
+  if (pending.length === 0) return { clustered: 0, joined: 0 };
+
+  const candidates = await getStorySignatures(since);
+  const touched = new Set();
+  let joined = 0;
+
+  for (const article of pending) {
+    const shingles = article.type === 'youtube' ? new Set() : shingle(articleText(article));
+    const signature = shingles.size >= MIN_SHINGLES ? minhashSignature(shingles) : null;
+
+    let best = null;
+    let bestScore = SIMILARITY_THRESHOLD;
+    if (signature) {
+      for (const candidate of candidates) {
+        const score = estimateSimilarity(signature, candidate.minhash);
+        if (score >= bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      }
+    }
+
+    try {
+      const storyId = await assignArticleToStory(article.id, best ? best.storyId : null, signature);
+      touched.add(storyId);
+      if (best) {
+        joined++;
+        console.log(`[Stories] "${article.title.substring(0, 60)}" (${article.source}) joins story ${storyId} (similarity ${bestScore.toFixed(2)})`);
+      }
+      if (signature) candidates.push({ id: article.id, storyId, minhash: signature });
+    } catch (error) {
+      console.error(`[Stories] Could not cluster article ${article.id}:`, error.message);
+    }
+  }
+
+  await refreshStories([...touched]);
+  console.log(`[Stories] Clustered ${pending.length} articles (${joined} joined existing stories)`);
+  return { clustered: pending.length, joined };
+}
+
+/**
+ * Better representative first: readable, full text, longer
+ */
+function compareRepresentatives(a, b) {
+  return (Number(a.paywalled || false) - Number(b.paywalled || false)) ||
+    (Number(b.hasFullContent || false) - Number(a.hasFullContent || false)) ||
+    ((b.originalContent || '').length - (a.originalContent || '').length);
+}
+
+/**
+ * Collapse a batch of articles to one entry per story. Each entry is the
+ * story's canonical article when it is in the batch (otherwise the batch's
+ * best member), with `coverage` listing every article in the story — including
+ * earlier coverage outside the batch — and `coverageSources` the distinct outlets.
+ * @param {Array} articles - Articles, e.g. everything going into a digest
+ * @returns {Promise<Array>} Story representatives, in order of first appearance in the batch
+ */
+export async function groupArticlesIntoStories(articles) {
+  const storyIds = [...new Set(articles.map(a => a.storyId).filter(Boolean))];
+  const members = await getStoryMembers(storyIds);
+
+  const groups = new Map();
+  const order = [];
+  for (const article of articles) {
+    const key = article.storyId && members.has(article.storyId) ? `story:${article.storyId}` : `article:${article.id}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+      order.push(key);
+    }
+    groups.get(key).push(article);
+  }
+
+  return order.map(key => {
+    const batch = groups.get(key);
+    const story = batch[0].storyId ? members.get(batch[0].storyId) : null;
+    const representative = (story && batch.find(a => a.id === story.canonicalArticleId)) ||
+      [...batch].sort(compareRepresentatives)[0];
+
+    const coverage = story
+      ? story.articles
+      : batch.map(a => ({ id: a.id, title: a.title, link: a.link, source: a.source, firstSeenAt: a.firstSeenAt }));
+
+    return {
+      ...representative,
+      coverage,
+      coverageSources: [...new Set(coverage.map(a => a.source).filter(Boolean))]
+    };
+  });
+}
@@ -0,0 +1,174 @@
+import { iterateArticles } from './storage.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_BASELINE_WEEKS = 8;
+const DEFAULT_LIMIT = 10;
+const SAMPLES_PER_TREND = 3;
+// On equal movement, tags and companies read better than raw title terms
+const KIND_ORDER = { topic: 0, company: 1, term: 2 };
+
+// Articles a topic needs this week (rising) or expected from the baseline (falling) to count
+const MIN_COUNT = 3;
+// How far this week's count must be from what the baseline predicts
+const RISING_RATIO = 2;
+const FALLING_RATIO = 0.5;
+// Below this many baseline articles there's no history to compare against
+const MIN_BASELINE_ARTICLES = 20;
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below between both but by
+can could did do does doing down during each few for from further had has have having he her here hers him his how i if in
+into is it its itself just me more most my new no nor not now of off on once only or other our ours out over own same she
+should so some such than that the their theirs them then there these they this those through to too under until up us very
+was we were what when where which while who whom why will with would you your yours
+says said say report reports update updates week weeks today year years day days via amid per vs get gets got make makes
+one two three first last next back still yet may might must need needs here's what's it's don't can't won't
+`.trim().split(/\s+/));
+
+/**
+ * Title terms: single words and adjacent word pairs, without stopwords or numbers
+ */
+function titleTerms(title) {
+  const tokens = (title || '').toLowerCase().replace(/[^a-z0-9'\s-]/g, ' ').split(/\s+/)
+    .map(token => token.replace(/^[-']+|[-']+$/g, ''))
+    .filter(Boolean);
+
+  const terms = new Set();
+  const usable = token => token.length >= 2 && !STOPWORDS.has(token) && !/^\d+$/.test(token);
+  tokens.forEach((token, i) => {
+    if (!usable(token)) return;
+    terms.add(token);
+    if (i + 1 < tokens.length && usable(tokens[i + 1])) terms.add(`${token} ${tokens[i + 1]}`);
+  });
+  return terms;
+}
+
+/**
+ * Everything an article counts toward, once each: its topic tags and
+ * companies (from enrichment) and its title terms
+ * @returns {Map<string, {kind: string, label: string}>} By feature key
+ */
+function articleFeatures(article) {
+  const features = new Map();
+  for (const tag of article.topicTags || []) features.set(`topic:${tag}`, { kind: 'topic', label: tag });
+  for (const company of article.companies || []) {
+    const key = `company:${company.toLowerCase()}`;
+    if (!features.has(key)) features.set(key, { kind: 'company', label: company });
+  }
+  for (const term of titleTerms(article.title)) features.set(`term:${term}`, { kind: 'term', label: term });
+  return features;
+}
+
+function sampleOf(article) {
+  return { id: article.id, title: article.title, source: article.source, link: article.link, pubDate: article.pubDate };
+}
+
+function tally(counts, key, feature, article) {
+  if (!counts.has(key)) counts.set(key, { ...feature, count: 0, samples: [] });
+  const entry = counts.get(key);
+  entry.count++;
+  if (entry.samples.length < SAMPLES_PER_TREND) entry.samples.push(sampleOf(article));
+}
+
+/**
+ * Drop single words already reported as part of a word pair that accounts for
+ * most of their articles ("underwriting" next to "ai underwriting")
+ * @param {Array} trends - Rising or falling entries
+ * @param {string} field - Count to compare: count (rising) or baselineCount (falling)
+ */
+function dropCoveredTerms(trends, field) {
+  const pairs = trends.filter(trend => trend.kind === 'term' && trend.label.includes(' '));
+  return trends.filter(trend => {
+    if (trend.kind !== 'term' || trend.label.includes(' ')) return true;
+    return !pairs.some(pair => pair.label.split(' ').includes(trend.label) && pair[field] >= 0.8 * trend[field]);
+  });
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Compare the last week of articles against a trailing baseline and report
+ * rising and falling topics (enrichment tags), companies and title terms.
+ * Counts are articles mentioning each one; the baseline's share of articles
+ * is scaled to this week's volume, so a busy week doesn't make everything rise.
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf] - End of the week measured (default now)
+ * @param {number} [options.baselineWeeks] - Weeks before it that form the baseline
+ * @param {Array<string>|null} [options.categories] - Only articles in these categories
+ * @param {number} [options.limit] - Most rising and falling entries to return
+ * @returns {Promise<Object>} { week, baseline, rising, falling, insufficientHistory }
+ */
+export async function computeTrends({ asOf = new Date(), baselineWeeks = DEFAULT_BASELINE_WEEKS, categories = null, limit = DEFAULT_LIMIT } = {}) {
+  const end = new Date(asOf);
+  const weekStart = new Date(end.getTime() - WEEK_MS);
+  const baselineStart = new Date(weekStart.getTime() - baselineWeeks * WEEK_MS);
+
+  const current = new Map();
+  const baseline = new Map();
+  let currentTotal = 0;
+  let baselineTotal = 0;
+
+  // Newest first, so each entry's samples are its most recent articles
+  for await (const article of iterateArticles({ startDate: baselineStart.toISOString() })) {
+    const published = new Date(article.pubDate);
+    if (!(published < end)) continue;
+    if (categories && !categories.includes(article.category)) continue;
+
+    const inWeek = published >= weekStart;
+    if (inWeek) currentTotal++; else baselineTotal++;
+    for (const [key, feature] of articleFeatures(article)) tally(inWeek ? current : baseline, key, feature, article);
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    week: { from: weekStart.toISOString(), to: end.toISOString(), articleCount: currentTotal },
+    baseline: { from: baselineStart.toISOString(), to: weekStart.toISOString(), weeks: baselineWeeks, articleCount: baselineTotal },
+    insufficientHistory: baselineTotal < MIN_BASELINE_ARTICLES,
+    rising: [],
+    falling: []
+  };
+  if (report.insufficientHistory || currentTotal === 0) return report;
+
+  const trends = [];
+  for (const key of new Set([...current.keys(), ...baseline.keys()])) {
+    const now = current.get(key);
+    const before = baseline.get(key);
+    const count = now?.count || 0;
+    const baselineCount = before?.count || 0;
+    const expected = (baselineCount / baselineTotal) * currentTotal;
+    const change = (count + 1) / (expected + 1);
+
+    const direction = (count >= MIN_COUNT && change >= RISING_RATIO) ? 'rising'
+      : (expected >= MIN_COUNT && change <= FALLING_RATIO) ? 'falling'
+        : null;
+    if (!direction) continue;
+
+    const { kind, label } = now || before;
+    trends.push({
+      direction,
+      kind,
+      label,
+      count,
+      baselineCount,
+      baselineWeekly: round(baselineCount / baselineWeeks, 1),
+      expected: round(expected, 1),
+      change: round(change, 2),
+      emerging: baselineCount === 0,
+      samples: direction === 'rising' ? now.samples : before.samples
+    });
+  }
+
+  const strip = ({ direction, ...trend }) => trend;
+  report.rising = dropCoveredTerms(trends.filter(t => t.direction === 'rising'), 'count')
+    .sort((a, b) => ((b.count - b.expected) - (a.count - a.expected)) || (KIND_ORDER[a.kind] - KIND_ORDER[b.kind]))
+    .slice(0, limit)
+    .map(strip);
+  report.falling = dropCoveredTerms(trends.filter(t => t.direction === 'falling'), 'baselineCount')
+    .sort((a, b) => ((b.expected - b.count) - (a.expected - a.count)) || (KIND_ORDER[a.kind] - KIND_ORDER[b.kind]))
+    .slice(0, limit)
+    .map(strip);
+  return report;
+}
@@ -0,0 +1,117 @@
+import { politeFetch } from './httpClient.js';
+
+const PROXY_TIMEOUT_MS = 10000;
+const PROXY_CACHE_SIZE = 5000;
+
+// Proxy link → destination, so feeds re-listing the same items don't re-resolve them every run
+const proxyCache = new Map();
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/i, /^mc_(cid|eid)$/i, /^_hs(enc|mi)$/i, /^(fbclid|gclid|dclid|msclkid|yclid|twclid|igshid)$/i,
+  /^(rss|feedtype|from_rss|ref|ref_src|referrer|cmpid|icid|ocid|ncid|mkt_tok|sr_share|smid|tpcc|guccounter)$/i
+];
+
+/**
+ * Query parameters that select the AMP rendition of a page
+ */
+function isAmpParam(key, value) {
+  return /^(amp|usqp)$/i.test(key) || (/^outputtype$/i.test(key) && /amp/i.test(value));
+}
+
+/**
+ * Feed proxies that hide the article URL behind a redirect
+ */
+const FEED_PROXIES = [
+  { host: /(^|\.)feedproxy\.google\.com$/ },
+  { host: /(^|\.)feeds\.feedburner\.com$/, path: /^\/~r\// },
+  { host: /(^|\.)feedsportal\.com$/ },
+  { host: /(^|\.)rss\.app$/, path: /^\/(r|redirect)\// }
+];
+
+/**
+ * Reduce an article URL to the form we key articles by: https, lowercase host
+ * without www, no fragment, tracking or AMP parameters, AMP paths unwrapped,
+ * no trailing slash, and remaining query parameters sorted. YouTube watch and
+ * short links reduce to the video id.
+ * @param {string} url - URL as found in a feed, page or model output
+ * @returns {string} Canonical URL (the input, trimmed, when it can't be parsed)
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return '';
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return String(url).trim();
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return parsed.toString();
+
+  // Google AMP cache: https://example-com.cdn.ampproject.org/c/s/example.com/story
+  const ampCache = parsed.hostname.endsWith('.cdn.ampproject.org') && parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  if (ampCache) return canonicalizeUrl(`https://${ampCache[2]}${parsed.search}`);
+
+  let host = parsed.hostname.toLowerCase().replace(/^www\./, '').replace(/^amp\./, '');
+  let pathname = parsed.pathname;
+
+  // YouTube: every variant of a video becomes youtube.com/watch?v=ID
+  const youtubeId = (host === 'youtu.be' && pathname.slice(1)) ||
+    (/(^|\.)youtube\.com$/.test(host) && (parsed.searchParams.get('v') || (pathname.match(/^\/(?:shorts|embed|live)\/([\w-]{6,})/) || [])[1]));
+  if (youtubeId) return `https://youtube.com/watch?v=${youtubeId.split('/')[0]}`;
+  if (host === 'm.youtube.com') host = 'youtube.com';
+
+  pathname = pathname
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/^\/amp\//i, '/')
+    .replace(/\.amp(\.html?)?$/i, (match, ext) => ext || '')
+    .replace(/\/{2,}/g, '/');
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key, value]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)) && !isAmpParam(key, value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+  return `https://${host}${port}${pathname === '/' ? '' : pathname}${query}`;
+}
+
+/**
+ * Whether a URL points at a known feed-proxy redirector
+ */
+export function isFeedProxyUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase();
+    return FEED_PROXIES.some(proxy => proxy.host.test(host) && (!proxy.path || proxy.path.test(parsed.pathname)));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Follow a feed-proxy link to the article it redirects to
+ * @param {string} url - Article link from a feed
+ * @returns {Promise<string>} The destination URL, or the input when it isn't a proxy link or can't be resolved
+ */
+export async function resolveFeedProxy(url) {
+  if (!isFeedProxyUrl(url)) return url;
+  if (proxyCache.has(url)) return proxyCache.get(url);
+
+  try {
+    let response = await politeFetch(url, { method: 'HEAD', timeoutMs: PROXY_TIMEOUT_MS });
+    if (response.status === 405 || response.status === 501) {
+      response = await politeFetch(url, { timeoutMs: PROXY_TIMEOUT_MS });
+      response.body?.cancel();
+    }
+    if (response.ok && response.url && response.url !== url) {
+      if (proxyCache.size >= PROXY_CACHE_SIZE) proxyCache.clear();
+      proxyCache.set(url, response.url);
+      return response.url;
+    }
+  } catch (error) {
+    console.error(`[URL] Could not resolve feed-proxy link ${url}:`, error.message);
+  }
+  return url;
+}